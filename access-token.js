@@ -0,0 +1,137 @@
+/**
+ * SIGNED ACCESS TOKENS
+ * HMAC-signed, expiring tokens that bind a document link to one recipient
+ * Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_DAYS = 30;
+
+function getSecret() {
+  const secret = process.env.SECRET_KEY;
+  if (!secret) {
+    throw new Error('SECRET_KEY is not set - cannot sign or verify access tokens');
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Default expiry for newly issued links (ACCESS_TOKEN_TTL_DAYS, or 30 days)
+ */
+function defaultExpiry() {
+  const days = parseFloat(process.env.ACCESS_TOKEN_TTL_DAYS) || DEFAULT_TTL_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create a signed token for one recipient of one document
+ * @param {Object} claims
+ * @param {string} claims.documentId
+ * @param {string} claims.recipientId
+ * @param {Date|string|number} [claims.expiresAt] - Defaults to defaultExpiry()
+ * @param {string} [claims.scope] - 'link' for email links, 'otp' for verified viewer sessions
+ * @returns {string}
+ */
+function createAccessToken({ documentId, recipientId, expiresAt, scope = 'link' }) {
+  const payload = {
+    documentId,
+    recipientId,
+    scope,
+    exp: new Date(expiresAt || defaultExpiry()).getTime()
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+// Check the signature and decode the payload of any token signed here
+function decodeSigned(token) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const [data, signature, extra] = token.split('.');
+  if (!data || !signature || extra !== undefined) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'tampered' };
+  }
+
+  try {
+    return { valid: true, payload: JSON.parse(Buffer.from(data, 'base64url').toString('utf8')) };
+  } catch (e) {
+    return { valid: false, reason: 'malformed' };
+  }
+}
+
+/**
+ * Verify a token's signature, scope and expiry.
+ * An expired token still returns its payload so callers can attribute it.
+ * @param {string} token
+ * @param {string} [scope] - Scope the token must have been issued for
+ * @returns {{ valid: boolean, reason?: 'missing'|'malformed'|'tampered'|'expired', payload?: Object }}
+ */
+function verifyAccessToken(token, scope = 'link') {
+  const decoded = decodeSigned(token);
+  if (!decoded.valid) return decoded;
+  const { payload } = decoded;
+
+  if (!payload.documentId || !payload.recipientId || !payload.exp) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  // Tokens issued before scopes existed are email links
+  if ((payload.scope || 'link') !== scope) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (Date.now() > payload.exp) {
+    return { valid: false, reason: 'expired', payload };
+  }
+
+  return { valid: true, payload };
+}
+
+/**
+ * Create the id of a click-tracked link in an email body. It carries the
+ * target URL, so the redirect cannot be pointed anywhere else, and it never
+ * expires: a link in an old email must keep working.
+ * @param {Object} link
+ * @param {string} link.documentId
+ * @param {string} link.recipientId
+ * @param {string} link.url - Original http(s) target
+ * @returns {string}
+ */
+function createLinkId({ documentId, recipientId, url }) {
+  const payload = { documentId, recipientId, scope: 'click', url };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Verify a link id from createLinkId()
+ * @param {string} linkId
+ * @returns {{ valid: boolean, reason?: 'missing'|'malformed'|'tampered', payload?: Object }}
+ */
+function verifyLinkId(linkId) {
+  const decoded = decodeSigned(linkId);
+  if (!decoded.valid) return decoded;
+  const { payload } = decoded;
+
+  if (payload.scope !== 'click' || !payload.documentId || !payload.recipientId ||
+      typeof payload.url !== 'string' || !/^https?:\/\//i.test(payload.url)) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  return { valid: true, payload };
+}
+
+module.exports = { createAccessToken, verifyAccessToken, createLinkId, verifyLinkId, defaultExpiry };
@@ -0,0 +1,169 @@
+/**
+ * EMAIL TEMPLATES
+ * Named, stored email templates (email_templates table) with {{field}} merge
+ * fields. In the body, {{field}} is escaped for where it appears (text,
+ * attribute, URL or script - see html-template.js); {{{field}}} inserts raw HTML.
+ */
+
+const { render, raw } = require('./html-template');
+
+const TEMPLATE_NAME = /^[a-z0-9][a-z0-9_-]{1,49}$/;
+const PLACEHOLDER = /\{\{\{\s*([a-zA-Z_]\w*)\s*\}\}\}|\{\{\s*([a-zA-Z_]\w*)\s*\}\}/g;
+
+// Always supplied when an email is generated; anything else is a custom field
+const STANDARD_FIELDS = [
+  'recipientName', 'recipientEmail', 'documentLink', 'documentName',
+  'senderName', 'subject', 'message', 'documentId', 'recipientId'
+];
+
+// Used by previews, under the template's own sampleData
+const SAMPLE_DATA = {
+  recipientName: 'Jane Investor',
+  recipientEmail: 'jane@example.com',
+  documentLink: 'https://example.com/documents/sample?token=preview',
+  documentName: 'Series_A_Deck.pdf',
+  senderName: 'Your Company',
+  subject: 'Important Document',
+  message: 'Please review the attached document.',
+  documentId: '00000000-0000-0000-0000-000000000000',
+  recipientId: '00000000-0000-0000-0000-000000000001'
+};
+
+// Fallback plain text for templates that only have an HTML body
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+    .replace(/<a\b[^>]*\bhref\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*\n+/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Names of every merge field used in the given template sources
+ * @param {...string} sources
+ * @returns {string[]}
+ */
+function extractFields(...sources) {
+  const fields = new Set();
+  for (const source of sources) {
+    for (const match of String(source || '').matchAll(PLACEHOLDER)) {
+      fields.add(match[1] || match[2]);
+    }
+  }
+  return [...fields];
+}
+
+// Plain substitution, for the subject and text parts
+function fill(source, data, missing) {
+  return String(source || '').replace(PLACEHOLDER, (match, rawField, field) => {
+    const value = data[rawField || field];
+    if (value === undefined || value === null) {
+      missing.add(rawField || field);
+      return '';
+    }
+    return String(value);
+  });
+}
+
+// Split the body at its placeholders and render it like an html`` template
+function fillHtml(source, data, missing) {
+  const strings = [];
+  const values = [];
+  let last = 0;
+
+  for (const match of String(source || '').matchAll(PLACEHOLDER)) {
+    const field = match[1] || match[2];
+    let value = data[field];
+    if (value === undefined || value === null) {
+      missing.add(field);
+      value = '';
+    }
+    strings.push(source.slice(last, match.index));
+    values.push(match[1] ? raw(value) : value);
+    last = match.index + match[0].length;
+  }
+  strings.push(String(source || '').slice(last));
+
+  return render(strings, values).toString();
+}
+
+/**
+ * Render a stored template
+ * @param {Object} template - { subject, html, text? }
+ * @param {Object} data - Merge field values
+ * @param {Object} [htmlData] - Overrides for the HTML body only (e.g. a
+ *   pre-formatted raw() message)
+ * @returns {{ subject: string, html: string, text: string, missingFields: string[] }}
+ */
+function renderTemplate(template, data, htmlData = {}) {
+  const missing = new Set();
+
+  // A newline in a header value would start a new header
+  const subject = fill(template.subject, data, missing).replace(/[\r\n]+/g, ' ');
+  const html = fillHtml(template.html, { ...data, ...htmlData }, missing);
+  const text = template.text ? fill(template.text, data, missing) : htmlToText(html);
+
+  return { subject, html, text, missingFields: [...missing] };
+}
+
+/**
+ * Check a template body from PUT /api/templates/:name
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTemplate({ subject, html, text = null, description = null, sampleData = {} }) {
+  if (typeof subject !== 'string' || !subject.trim() || subject.length > 200) {
+    return 'subject must be a non-empty string of at most 200 characters';
+  }
+  if (typeof html !== 'string' || !html.trim() || html.length > 200 * 1024) {
+    return 'html must be a non-empty string of at most 200KB';
+  }
+  if (text !== null && (typeof text !== 'string' || text.length > 100 * 1024)) {
+    return 'text must be a string of at most 100KB';
+  }
+  if (description !== null && (typeof description !== 'string' || description.length > 500)) {
+    return 'description must be a string of at most 500 characters';
+  }
+  if (!sampleData || typeof sampleData !== 'object' || Array.isArray(sampleData)) {
+    return 'sampleData must be an object of field values';
+  }
+  // Placeholders in places that cannot be escaped (tag names, on* handlers ...) throw
+  try {
+    fillHtml(html, { ...SAMPLE_DATA, ...sampleData }, new Set());
+  } catch (error) {
+    return `html: ${error.message}`;
+  }
+  return null;
+}
+
+function parseTemplateRow(row) {
+  return row ? { ...row, sampleData: JSON.parse(row.sampleData || '{}') } : null;
+}
+
+/**
+ * Load a template by name (server and send-email.js each pass their own db)
+ * @returns {Object|null}
+ */
+function loadTemplate(db, name) {
+  return parseTemplateRow(db.prepare('SELECT * FROM email_templates WHERE name = ?').get(name));
+}
+
+module.exports = {
+  TEMPLATE_NAME,
+  STANDARD_FIELDS,
+  SAMPLE_DATA,
+  extractFields,
+  renderTemplate,
+  validateTemplate,
+  parseTemplateRow,
+  loadTemplate
+};
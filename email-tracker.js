@@ -4,6 +4,24 @@
  */
 
 const crypto = require('crypto');
+const { createAccessToken, createLinkId } = require('./access-token');
+const { renderTemplate } = require('./email-templates');
+const { html, raw, escapeHtml } = require('./html-template');
+
+// Bare http(s) URL in plain text, without trailing punctuation
+const TEXT_URL_PATTERN = /https?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)]/gi;
+
+// The same in escaped HTML text, where quotes and brackets around a URL are
+// entities: stop before them (&amp; stays part of the URL)
+const HTML_URL_PATTERN = /https?:\/\/(?:(?!&(?:quot|#39|lt|gt);)[^\s<>"'])*(?:(?!&(?:quot|#39|lt|gt);)[^\s<>"'.,;:!?)])/gi;
+
+/**
+ * Turn a plain-text message into escaped HTML with line breaks kept
+ * (bare URLs are linked afterwards by rewriteLinks)
+ */
+function formatMessage(message) {
+  return escapeHtml(message).replace(/\r?\n/g, '<br>\n');
+}
 
 class EmailTracker {
   constructor(serverUrl = 'http://localhost:3000') {
@@ -17,19 +35,145 @@ class EmailTracker {
     return crypto.randomUUID();
   }
 
+  /**
+   * Create a signed access token binding a document to one recipient
+   * (expiresAt defaults to ACCESS_TOKEN_TTL_DAYS from now)
+   */
+  createAccessToken(documentId, recipientId, expiresAt) {
+    return createAccessToken({ documentId, recipientId, expiresAt });
+  }
+
   /**
    * Create tracking pixel URL for email opens
    */
-  createTrackingPixel(documentId, recipientId) {
+  createTrackingPixel(documentId, recipientId, token = this.createAccessToken(documentId, recipientId)) {
     const timestamp = Date.now();
-    return `${this.serverUrl}/api/track/pixel/${documentId}/${recipientId}?action=opened&ts=${timestamp}`;
+    return `${this.serverUrl}/api/track/pixel/${documentId}/${recipientId}?action=opened&ts=${timestamp}&token=${token}`;
+  }
+
+  /**
+   * Create tracked document link (the recipient is carried by the signed token)
+   */
+  createTrackedDocumentLink(documentId, recipientId, token = this.createAccessToken(documentId, recipientId)) {
+    return `${this.serverUrl}/documents/${documentId}?token=${token}`;
+  }
+
+  /**
+   * Create a click-tracked redirect for a link in the email body
+   */
+  createClickUrl(documentId, recipientId, url) {
+    return `${this.serverUrl}/api/track/click/${createLinkId({ documentId, recipientId, url })}`;
   }
 
   /**
-   * Create tracked document download link
+   * Rewrite every http(s) link in an HTML message to a click-tracked redirect.
+   * Both <a href> targets and bare URLs in the text are rewritten; links to
+   * this server (document link, pixel) are already tracked and left alone.
+   * @returns {{ html: string, links: Array<{ url: string, clickUrl: string }> }}
    */
-  createTrackedDocumentLink(documentId, recipientId, documentName) {
-    return `${this.serverUrl}/documents/${documentId}?recipient=${recipientId}&name=${encodeURIComponent(documentName)}`;
+  rewriteLinks(message, documentId, recipientId, links = []) {
+    // URLs in HTML may carry &amp; entities
+    const track = (url) => this.trackLink(url.replace(/&amp;/g, '&'), documentId, recipientId, links) || url;
+
+    // Split into tags and text so bare URLs inside <a>...</a> or attributes are left alone
+    let insideAnchor = false;
+    const html = String(message).split(/(<[^>]*>)/).map(part => {
+      if (part.startsWith('<')) {
+        if (/^<a\b/i.test(part)) {
+          insideAnchor = true;
+          return part.replace(/(\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/i,
+            (match, attr, quote, href) => `${attr}${quote}${track(href)}${quote}`);
+        }
+        if (/^<\/a\s*>/i.test(part)) insideAnchor = false;
+        return part;
+      }
+      if (insideAnchor) return part;
+      return part.replace(HTML_URL_PATTERN, url => `<a href="${track(url)}">${url}</a>`);
+    }).join('');
+
+    return { html, links };
+  }
+
+  /**
+   * Plain-text counterpart of rewriteLinks (same links array, so a URL gets
+   * one link id in both parts of the email)
+   */
+  rewriteTextLinks(text, documentId, recipientId, links = []) {
+    return String(text).replace(TEXT_URL_PATTERN,
+      url => this.trackLink(url, documentId, recipientId, links) || url);
+  }
+
+  /**
+   * Click-tracked URL for a link, reusing its entry in links (one link id per
+   * URL per email). Links to this server are already tracked: returns null.
+   */
+  trackLink(url, documentId, recipientId, links) {
+    if (url.startsWith(this.serverUrl)) return null;
+
+    let link = links.find(l => l.url === url);
+    if (!link) {
+      link = { url, clickUrl: this.createClickUrl(documentId, recipientId, url) };
+      links.push(link);
+    }
+    return link.clickUrl;
+  }
+
+  /**
+   * Generate an email from a stored template (see email-templates.js)
+   * @param {Object} template - Row from loadTemplate()
+   * @param {Object} options - Same as generateEmailHTML, plus fields: custom merge values
+   * @returns {{ documentId, recipientId, documentLink, links, subject, html, text, missingFields }}
+   */
+  generateFromTemplate(template, options = {}) {
+    const {
+      recipientEmail,
+      recipientName,
+      subject = 'Important Document',
+      documentName = 'confidential_report.pdf',
+      message = 'Please review the attached document.',
+      senderName = 'Your Name',
+      documentId = this.generateId(),
+      recipientId = this.generateId(),
+      linkExpiresAt,
+      fields = {}
+    } = options;
+
+    const accessToken = this.createAccessToken(documentId, recipientId, linkExpiresAt);
+    const trackingPixel = this.createTrackingPixel(documentId, recipientId, accessToken);
+    const documentLink = this.createTrackedDocumentLink(documentId, recipientId, accessToken);
+
+    const rendered = renderTemplate(template, {
+      ...fields,
+      recipientName: recipientName || recipientEmail,
+      recipientEmail,
+      documentLink,
+      documentName,
+      senderName,
+      subject,
+      message,
+      documentId,
+      recipientId
+    }, { message: raw(formatMessage(message)) });
+
+    const links = [];
+    const { html } = this.rewriteLinks(rendered.html, documentId, recipientId, links);
+    const text = this.rewriteTextLinks(rendered.text, documentId, recipientId, links);
+
+    const pixel = `<img src="${trackingPixel}" width="1" height="1" style="display:none;" alt="">`;
+    const withPixel = /<\/body>/i.test(html)
+      ? html.replace(/<\/body>/i, `${pixel}\n</body>`)
+      : `${html}\n${pixel}`;
+
+    return {
+      documentId,
+      recipientId,
+      documentLink,
+      links,
+      subject: rendered.subject,
+      html: withPixel,
+      text,
+      missingFields: rendered.missingFields
+    };
   }
 
   /**
@@ -44,16 +188,21 @@ class EmailTracker {
       message = 'Please review the attached document.',
       senderName = 'Your Name',
       documentId = this.generateId(),
-      recipientId = this.generateId()
+      recipientId = this.generateId(),
+      linkExpiresAt
     } = options;
 
-    const trackingPixel = this.createTrackingPixel(documentId, recipientId);
-    const documentLink = this.createTrackedDocumentLink(documentId, recipientId, documentName);
+    const accessToken = this.createAccessToken(documentId, recipientId, linkExpiresAt);
+    const trackingPixel = this.createTrackingPixel(documentId, recipientId, accessToken);
+    const documentLink = this.createTrackedDocumentLink(documentId, recipientId, accessToken);
+    const { html: messageHtml, links } = this.rewriteLinks(formatMessage(message), documentId, recipientId);
 
     return {
       documentId,
       recipientId,
-      html: `
+      documentLink,
+      links,
+      html: html`
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -166,7 +315,7 @@ class EmailTracker {
     </div>
     
     <div class="message">
-      ${message}
+      ${raw(messageHtml)}
     </div>
     
     <div class="document-box">
@@ -197,43 +346,15 @@ class EmailTracker {
   
   <!-- Tracking Pixel (invisible 1x1 image) -->
   <img src="${trackingPixel}" width="1" height="1" style="display:none;" alt="">
-  
-  <!-- Enhanced tracking script -->
-  <script>
-    // Track link clicks
-    document.addEventListener('DOMContentLoaded', function() {
-      const docLink = document.getElementById('document-link');
-      if (docLink) {
-        docLink.addEventListener('click', function(e) {
-          // Send tracking beacon
-          if (navigator.sendBeacon) {
-            navigator.sendBeacon('${this.serverUrl}/api/track/document-open', JSON.stringify({
-              documentId: '${documentId}',
-              recipientId: '${recipientId}',
-              timestamp: new Date().toISOString()
-            }));
-          }
-        });
-      }
-    });
-    
-    // Track email read time
-    let startTime = Date.now();
-    window.addEventListener('beforeunload', function() {
-      const readTime = Date.now() - startTime;
-      if (navigator.sendBeacon && readTime > 1000) {
-        navigator.sendBeacon('${this.serverUrl}/api/track/pixel/${documentId}/${recipientId}?action=read&duration=' + readTime);
-      }
-    });
-  </script>
 </body>
 </html>
-      `.trim()
+      `.toString().trim()
     };
   }
 
   /**
    * Generate plain text version (for email clients that don't support HTML)
+   * (links are the click-tracked links returned by generateEmailHTML)
    */
   generatePlainText(options = {}) {
     const {
@@ -242,13 +363,19 @@ class EmailTracker {
       documentName = 'confidential_report.pdf',
       message = 'Please review the attached document.',
       senderName = 'Your Name',
-      documentLink
+      documentLink,
+      links = []
     } = options;
 
+    // Longest first, so a URL that prefixes another does not split it
+    const trackedMessage = [...links]
+      .sort((a, b) => b.url.length - a.url.length)
+      .reduce((text, link) => text.split(link.url).join(link.clickUrl), message);
+
     return `
 Hello ${recipientName || recipientEmail},
 
-${message}
+${trackedMessage}
 
 Document: ${documentName}
 Access Link: ${documentLink}
@@ -264,9 +391,13 @@ ${senderName}
 
   /**
    * Create tracked document page with embedded tracking
+   * (watermarkId is the id of the watermarks row stamped into documentUrl)
    */
-  generateTrackedDocumentPage(documentId, recipientId, documentUrl, documentName) {
-    return `
+  generateTrackedDocumentPage(documentId, recipientId, documentUrl, documentName, watermarkId = null) {
+    // Every /api/track* request must carry a token for this recipient
+    const token = this.createAccessToken(documentId, recipientId);
+
+    return html`
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -398,7 +529,8 @@ ${senderName}
       serverUrl: '${this.serverUrl}',
       documentId: '${documentId}',
       recipientId: '${recipientId}',
-      watermarkId: 'watermark_${documentId.substring(0, 8)}',
+      watermarkId: ${watermarkId},
+      token: '${token}',
       enableTracking: true
     });
 
@@ -426,7 +558,7 @@ ${senderName}
   </script>
 </body>
 </html>
-    `.trim();
+    `.toString().trim();
   }
 }
 
@@ -0,0 +1,310 @@
+/**
+ * CONTEXT-AWARE HTML TEMPLATES
+ * html`...` tagged templates that escape every interpolated value for the
+ * place it lands in: HTML text, a quoted attribute, a URL attribute, a string
+ * inside <script>, or a bare <script> expression (serialized as JSON).
+ * Only values wrapped with raw() - or nested html`...` fragments - are
+ * inserted as-is. Interpolating anywhere else (tag names, unquoted or event
+ * handler attributes, <style>) throws instead of guessing.
+ *
+ * Also loaded by the dashboard (served at /html-template.js) for its renderers.
+ *
+ * Limitation: inline scripts are scanned for quotes and comments only, so a
+ * regex literal containing a quote inside a template script confuses it.
+ */
+
+// Trusted markup (or script code) that is inserted without escaping
+class SafeHtml {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function raw(value) {
+  return value instanceof SafeHtml ? value : new SafeHtml(value);
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function unicodeEscape(ch) {
+  return `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`;
+}
+
+/**
+ * Escape text for inside a '...', "..." or `...` JS string in an inline script
+ * (also neutralizes </script>, ${ and line terminators)
+ */
+function escapeJsString(value) {
+  return String(value).replace(/[\\'"`<>&$\n\r\u2028\u2029]/g, unicodeEscape);
+}
+
+/**
+ * Serialize a value as a JS expression safe to place in an inline script
+ */
+function jsValue(value) {
+  return JSON.stringify(value === undefined ? null : value).replace(/[<>&\u2028\u2029]/g, unicodeEscape);
+}
+
+const BLOCKED_URL = 'about:blank#blocked';
+
+/**
+ * Allow http(s), mailto, tel and relative URLs; anything else
+ * (javascript:, data:, vbscript: ...) is replaced by BLOCKED_URL
+ */
+function sanitizeUrl(value) {
+  const url = String(value).trim();
+  // Browsers ignore tabs and newlines inside a scheme ("java\tscript:")
+  const scheme = url.replace(/[\t\n\r]/g, '').match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+  if (!scheme) return url;
+  return ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase()) ? url : BLOCKED_URL;
+}
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href']);
+
+// ============================================
+// CONTEXT SCANNER
+// ============================================
+
+/**
+ * Walk the literal parts of a template and work out the context of each
+ * interpolation. Interpolated values never change the context (escaped values
+ * cannot, and raw fragments are expected to be balanced markup).
+ * @param {string[]} strings
+ * @returns {Object[]} One context per interpolation
+ */
+function scanContexts(strings) {
+  const state = { mode: 'text', tag: null, closing: false, attr: null, quote: null, valueEmpty: true, jsQuote: null, jsComment: null };
+  const contexts = [];
+
+  strings.forEach((chunk, index) => {
+    scanChunk(chunk, state);
+    if (index < strings.length - 1) {
+      // "<${name}" - the value would become the tag name
+      const tagStart = state.mode === 'text' && /<\/?$/.test(chunk);
+      contexts.push(tagStart ? { ...state, mode: 'tag' } : { ...state });
+      if (state.mode === 'attr') state.valueEmpty = false;
+    }
+  });
+
+  return contexts;
+}
+
+function scanChunk(chunk, state) {
+  let i = 0;
+  while (i < chunk.length) {
+    const ch = chunk[i];
+
+    switch (state.mode) {
+      case 'text': {
+        if (chunk.startsWith('<!--', i)) {
+          state.mode = 'comment';
+          i += 4;
+          continue;
+        }
+        const open = chunk.slice(i).match(/^<(\/?)([a-zA-Z][\w:-]*)/);
+        if (open) {
+          state.mode = 'tag';
+          state.closing = open[1] === '/';
+          state.tag = open[2].toLowerCase();
+          i += open[0].length;
+          continue;
+        }
+        i++;
+        continue;
+      }
+
+      case 'comment': {
+        const end = chunk.indexOf('-->', i);
+        if (end === -1) return;
+        state.mode = 'text';
+        i = end + 3;
+        continue;
+      }
+
+      case 'tag': {
+        if (ch === '>') {
+          state.mode = !state.closing && (state.tag === 'script' || state.tag === 'style')
+            ? state.tag
+            : 'text';
+          state.jsQuote = null;
+          state.jsComment = null;
+          i++;
+          continue;
+        }
+        const attr = chunk.slice(i).match(/^([^\s"'>/=]+)\s*=\s*(["']?)/);
+        if (attr) {
+          state.mode = 'attr';
+          state.attr = attr[1].toLowerCase();
+          state.quote = attr[2];
+          state.valueEmpty = true;
+          i += attr[0].length;
+          continue;
+        }
+        i++;
+        continue;
+      }
+
+      case 'attr': {
+        const ends = state.quote ? ch === state.quote : /[\s>]/.test(ch);
+        if (ends) {
+          state.mode = 'tag';
+          state.attr = null;
+          // The > of an unquoted value also closes the tag
+          if (!state.quote) continue;
+        } else {
+          state.valueEmpty = false;
+        }
+        i++;
+        continue;
+      }
+
+      case 'script': {
+        if (state.jsComment === 'line') {
+          if (ch === '\n') state.jsComment = null;
+          i++;
+          continue;
+        }
+        if (state.jsComment === 'block') {
+          if (chunk.startsWith('*/', i)) {
+            state.jsComment = null;
+            i += 2;
+            continue;
+          }
+          i++;
+          continue;
+        }
+        if (state.jsQuote) {
+          if (ch === '\\') {
+            i += 2;
+            continue;
+          }
+          if (ch === state.jsQuote) state.jsQuote = null;
+          i++;
+          continue;
+        }
+        if (/^<\/script/i.test(chunk.slice(i, i + 8))) {
+          state.mode = 'text';
+          continue;
+        }
+        if (ch === '"' || ch === "'" || ch === '`') {
+          state.jsQuote = ch;
+        } else if (chunk.startsWith('//', i)) {
+          state.jsComment = 'line';
+          i++;
+        } else if (chunk.startsWith('/*', i)) {
+          state.jsComment = 'block';
+          i++;
+        }
+        i++;
+        continue;
+      }
+
+      case 'style': {
+        if (/^<\/style/i.test(chunk.slice(i, i + 7))) {
+          state.mode = 'text';
+          continue;
+        }
+        i++;
+        continue;
+      }
+
+      default:
+        i++;
+    }
+  }
+}
+
+// ============================================
+// ESCAPING PER CONTEXT
+// ============================================
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === false;
+}
+
+function escapeForContext(value, context) {
+  switch (context.mode) {
+    case 'text':
+    case 'comment':
+      if (Array.isArray(value)) return value.map(v => escapeForContext(v, context)).join('');
+      if (value instanceof SafeHtml) return value.value;
+      return isEmpty(value) ? '' : escapeHtml(value);
+
+    case 'attr':
+      if (value instanceof SafeHtml) return value.value;
+      if (!context.quote) {
+        throw new Error(`Unquoted attribute ${context.attr}= cannot take an interpolated value`);
+      }
+      if (context.attr.startsWith('on') || context.attr === 'style') {
+        throw new Error(`Interpolation into the ${context.attr} attribute is not allowed`);
+      }
+      if (isEmpty(value)) return '';
+      return escapeHtml(URL_ATTRIBUTES.has(context.attr) && context.valueEmpty ? sanitizeUrl(value) : value);
+
+    case 'script':
+      if (context.jsComment) {
+        throw new Error('Interpolation inside a script comment is not allowed');
+      }
+      if (context.jsQuote) return isEmpty(value) ? '' : escapeJsString(value);
+      return value instanceof SafeHtml ? value.value : jsValue(value);
+
+    case 'tag':
+    case 'style':
+      if (value instanceof SafeHtml) return value.value;
+      if (isEmpty(value) || value === '') return '';
+      throw new Error(`Interpolation into a ${context.mode === 'tag' ? 'tag' : '<style> block'} needs raw()`);
+
+    default:
+      throw new Error(`Unknown template context ${context.mode}`);
+  }
+}
+
+// Tagged template strings objects are reused per call site, so scan once
+const contextCache = new WeakMap();
+
+/**
+ * Render literal parts and values (contexts taken from the literals)
+ * @param {string[]} strings
+ * @param {Array} values
+ * @returns {SafeHtml}
+ */
+function render(strings, values) {
+  let contexts = typeof strings === 'object' && contextCache.get(strings);
+  if (!contexts) {
+    contexts = scanContexts(strings);
+    if (Object.isFrozen(strings)) contextCache.set(strings, contexts);
+  }
+
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += escapeForContext(value, contexts[i]) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+function html(strings, ...values) {
+  return render(strings, values);
+}
+
+// Export for use (in the browser the functions above are globals)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    html,
+    raw,
+    render,
+    SafeHtml,
+    escapeHtml,
+    escapeJsString,
+    jsValue,
+    sanitizeUrl,
+    BLOCKED_URL
+  };
+}
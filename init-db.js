@@ -5,8 +5,20 @@
 
 const Database = require('better-sqlite3');
 const fs = require('fs');
+const path = require('path');
 
-const DB_PATH = './tracking.db';
+// Next to the code rather than the working directory, so the server and
+// send-email.js always open the same file wherever they are started from
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'tracking.db');
+
+// CREATE TABLE IF NOT EXISTS leaves older tables alone, so new columns
+// are added here for databases created before they existed
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
 
 function initDatabase() {
   console.log('🗄️  Initializing database...\n');
@@ -34,9 +46,19 @@ function initDatabase() {
       watermarkId TEXT,
       forwardedTo TEXT,
       unauthorized INTEGER DEFAULT 0,
+      sessionId TEXT,
+      clientEventId TEXT,
+      deviceFingerprint TEXT,
+      classification TEXT,
+      classificationReason TEXT,
       createdAt TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
+  addColumnIfMissing(db, 'events', 'sessionId', 'TEXT');
+  addColumnIfMissing(db, 'events', 'clientEventId', 'TEXT');
+  addColumnIfMissing(db, 'events', 'deviceFingerprint', 'TEXT');
+  addColumnIfMissing(db, 'events', 'classification', 'TEXT');
+  addColumnIfMissing(db, 'events', 'classificationReason', 'TEXT');
   
   // Create alerts table
   db.exec(`
@@ -65,24 +87,253 @@ function initDatabase() {
       toRecipient TEXT,
       status TEXT DEFAULT 'open',
       timestamp TEXT NOT NULL,
+      watermarkId TEXT,
+      evidenceHash TEXT,
       createdAt TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
+  // Leak attributions: the watermark found and a SHA-256 of the submitted file
+  addColumnIfMissing(db, 'incidents', 'watermarkId', 'TEXT');
+  addColumnIfMissing(db, 'incidents', 'evidenceHash', 'TEXT');
   
   // Create emails table (for tracking sent emails)
-  db.exec(`
+  const emailsTableSql = `
     CREATE TABLE IF NOT EXISTS emails (
       id TEXT PRIMARY KEY,
-      documentId TEXT NOT NULL UNIQUE,
+      documentId TEXT NOT NULL,
       recipientId TEXT NOT NULL,
       recipientEmail TEXT NOT NULL,
       recipientName TEXT,
       subject TEXT NOT NULL,
       documentName TEXT NOT NULL,
       sentAt TEXT DEFAULT CURRENT_TIMESTAMP,
-      status TEXT DEFAULT 'sent'
+      status TEXT DEFAULT 'sent',
+      campaignId TEXT
+    )
+  `;
+  db.exec(emailsTableSql);
+  // Before the rebuild below, so old rows line up with the new column order
+  addColumnIfMissing(db, 'emails', 'campaignId', 'TEXT');
+
+  // Older databases declared emails.documentId UNIQUE. An uploaded document
+  // is now sent to many recipients, so rebuild the table without it.
+  const emailIndexes = db.prepare("PRAGMA index_list('emails')").all();
+  if (emailIndexes.some(idx => idx.origin === 'u')) {
+    db.transaction(() => {
+      db.exec('ALTER TABLE emails RENAME TO emails_old');
+      db.exec(emailsTableSql);
+      db.exec('INSERT INTO emails SELECT * FROM emails_old');
+      db.exec('DROP TABLE emails_old');
+    })();
+  }
+  
+  // Create documents table (uploaded files served by the viewer)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      fileName TEXT NOT NULL,
+      mimeType TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      sha256 TEXT NOT NULL,
+      pageCount INTEGER,
+      uploadedAt TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  addColumnIfMissing(db, 'documents', 'pageCount', 'INTEGER');
+  
+  // Create policies table (access rules per document; no row = unrestricted)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS policies (
+      documentId TEXT PRIMARY KEY,
+      expiresAt TEXT,
+      maxOpens INTEGER,
+      maxDevices INTEGER,
+      allowDownload INTEGER DEFAULT 1,
+      allowPrint INTEGER DEFAULT 1,
+      requireOtp INTEGER DEFAULT 0,
+      overlayEnabled INTEGER DEFAULT 1,
+      overlayOpacity REAL DEFAULT 0.15,
+      updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (documentId) REFERENCES documents(id)
+    )
+  `);
+  addColumnIfMissing(db, 'policies', 'requireOtp', 'INTEGER DEFAULT 0');
+  addColumnIfMissing(db, 'policies', 'maxDevices', 'INTEGER');
+  addColumnIfMissing(db, 'policies', 'overlayEnabled', 'INTEGER DEFAULT 1');
+  addColumnIfMissing(db, 'policies', 'overlayOpacity', 'REAL DEFAULT 0.15');
+  
+  // Create revocations table (recipients whose access was withdrawn)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS revocations (
+      id TEXT PRIMARY KEY,
+      documentId TEXT NOT NULL,
+      recipientId TEXT NOT NULL,
+      reason TEXT,
+      revokedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (documentId, recipientId)
+    )
+  `);
+  
+  // Create otp_codes table (one-time passcodes for the viewer gate)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS otp_codes (
+      id TEXT PRIMARY KEY,
+      documentId TEXT NOT NULL,
+      recipientId TEXT NOT NULL,
+      codeHash TEXT NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      expiresAt TEXT NOT NULL,
+      verifiedAt TEXT,
+      createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  
+  // Create watermarks table (one row per stamped copy handed to a recipient)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS watermarks (
+      id TEXT PRIMARY KEY,
+      documentId TEXT NOT NULL,
+      recipientId TEXT NOT NULL,
+      recipientEmail TEXT,
+      ipAddress TEXT,
+      userAgent TEXT,
+      emailId TEXT,
+      createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (documentId) REFERENCES documents(id)
+    )
+  `);
+  // Set when the copy was sent as an email attachment (emails.id)
+  addColumnIfMissing(db, 'watermarks', 'emailId', 'TEXT');
+  
+  // Create campaigns table (one document sent to a CSV list of recipients)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      documentId TEXT,
+      documentName TEXT NOT NULL,
+      templateName TEXT,
+      status TEXT DEFAULT 'sending',
+      totalRecipients INTEGER DEFAULT 0,
+      sentCount INTEGER DEFAULT 0,
+      failedCount INTEGER DEFAULT 0,
+      ratePerMinute INTEGER,
+      createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+      completedAt TEXT
+    )
+  `);
+  addColumnIfMissing(db, 'campaigns', 'templateName', 'TEXT');
+  
+  // Create sessions table (one row per viewer session, keyed by the client sessionId)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      documentId TEXT NOT NULL,
+      recipientId TEXT NOT NULL,
+      startedAt TEXT NOT NULL,
+      endedAt TEXT NOT NULL,
+      ipAddress TEXT,
+      location TEXT,
+      device TEXT,
+      userAgent TEXT,
+      pagePath TEXT,
+      activeTime INTEGER DEFAULT 0,
+      scrollDepth REAL,
+      eventCount INTEGER DEFAULT 0
+    )
+  `);
+  addColumnIfMissing(db, 'sessions', 'scrollDepth', 'REAL');
+  
+  // Create heatmap_regions table (time each vertical band of a page was on screen)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS heatmap_regions (
+      documentId TEXT NOT NULL,
+      recipientId TEXT NOT NULL,
+      pageNumber INTEGER NOT NULL,
+      band INTEGER NOT NULL,
+      viewTime INTEGER DEFAULT 0,
+      updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (documentId, recipientId, pageNumber, band)
+    )
+  `);
+  
+  // Create devices table (distinct devices each recipient link was opened on)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS devices (
+      documentId TEXT NOT NULL,
+      recipientId TEXT NOT NULL,
+      fingerprint TEXT NOT NULL,
+      device TEXT,
+      ipAddress TEXT,
+      location TEXT,
+      firstSeen TEXT NOT NULL,
+      lastSeen TEXT NOT NULL,
+      opens INTEGER DEFAULT 0,
+      PRIMARY KEY (documentId, recipientId, fingerprint)
+    )
+  `);
+  
+  // Create event_types table (custom events integrations may send to /api/track/event)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS event_types (
+      name TEXT PRIMARY KEY,
+      description TEXT,
+      risk TEXT NOT NULL DEFAULT 'low',
+      raisesAlert INTEGER DEFAULT 0,
+      alertMessage TEXT,
+      updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const seedEventType = db.prepare(`
+    INSERT OR IGNORE INTO event_types (name, description, risk, raisesAlert, alertMessage)
+    VALUES (@name, @description, @risk, @raisesAlert, @alertMessage)
+  `);
+  seedEventType.run({
+    name: 'signature_completed',
+    description: 'Recipient signed the document',
+    risk: 'low',
+    raisesAlert: 0,
+    alertMessage: null
+  });
+  seedEventType.run({
+    name: 'link_shared',
+    description: 'Recipient shared the document link',
+    risk: 'high',
+    raisesAlert: 1,
+    alertMessage: '🔗 {recipientId} shared the document link ({location})'
+  });
+  
+  // Create email_templates table (named bodies with {{field}} merge fields)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_templates (
+      name TEXT PRIMARY KEY,
+      description TEXT,
+      subject TEXT NOT NULL,
+      html TEXT NOT NULL,
+      text TEXT,
+      sampleData TEXT DEFAULT '{}',
+      createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+      updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
+  db.prepare(`
+    INSERT OR IGNORE INTO email_templates (name, description, subject, html, text, sampleData)
+    VALUES (@name, @description, @subject, @html, @text, @sampleData)
+  `).run({
+    name: 'simple-share',
+    description: 'Short personal note with the document link',
+    subject: '{{senderName}} shared {{documentName}} with you',
+    html: [
+      '<p>Hi {{recipientName}},</p>',
+      '<div>{{message}}</div>',
+      '<p><a href="{{documentLink}}">Open {{documentName}}</a></p>',
+      '<p>Best,<br>{{senderName}}</p>'
+    ].join('\n'),
+    text: 'Hi {{recipientName}},\n\n{{message}}\n\nOpen {{documentName}}: {{documentLink}}\n\nBest,\n{{senderName}}',
+    sampleData: '{}'
+  });
   
   // Create indices for better performance
   db.exec(`
@@ -92,6 +343,12 @@ function initDatabase() {
     CREATE INDEX IF NOT EXISTS idx_alerts_severity ON alerts(severity);
     CREATE INDEX IF NOT EXISTS idx_incidents_status ON incidents(status);
     CREATE INDEX IF NOT EXISTS idx_emails_documentId ON emails(documentId);
+    CREATE INDEX IF NOT EXISTS idx_emails_campaignId ON emails(campaignId);
+    CREATE INDEX IF NOT EXISTS idx_watermarks_documentId ON watermarks(documentId);
+    CREATE INDEX IF NOT EXISTS idx_watermarks_emailId ON watermarks(emailId);
+    CREATE INDEX IF NOT EXISTS idx_events_sessionId ON events(sessionId);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_events_clientEventId ON events(recipientId, clientEventId);
+    CREATE INDEX IF NOT EXISTS idx_sessions_documentId ON sessions(documentId, recipientId);
   `);
   
   console.log('✅ Database initialized successfully!');
@@ -100,6 +357,17 @@ function initDatabase() {
   console.log('   • alerts - Security alerts');
   console.log('   • incidents - Security incidents');
   console.log('   • emails - Sent emails log');
+  console.log('   • campaigns - Bulk sends grouping emails');
+  console.log('   • documents - Uploaded documents');
+  console.log('   • policies - Per-document access policies');
+  console.log('   • revocations - Revoked recipient access');
+  console.log('   • otp_codes - Viewer verification codes');
+  console.log('   • watermarks - Per-recipient watermarked copies');
+  console.log('   • sessions - Viewer sessions and active reading time');
+  console.log('   • heatmap_regions - Per-page reading heatmaps');
+  console.log('   • devices - Device fingerprints per recipient link');
+  console.log('   • event_types - Custom event registry');
+  console.log('   • email_templates - Stored email templates');
   console.log(`\n💾 Database file: ${DB_PATH}\n`);
   
   db.close();
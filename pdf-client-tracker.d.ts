@@ -0,0 +1,107 @@
+/**
+ * PDF CLIENT TRACKER - type definitions
+ * Describes the public surface of pdf-client-tracker.js and the /sdk bundles
+ */
+
+export interface TrackerEvent {
+  /** Client event id, used by the server to drop duplicates */
+  id: string;
+  /** Event type, e.g. 'document-open', 'page-view' or a registered custom type */
+  type: string;
+  watermarkId?: string;
+  timestamp: string;
+  userAgent: string;
+  sessionId: string;
+  pagePath: string;
+  /** Active (visible, not idle) ms in this session so far */
+  activeTime: number;
+  [field: string]: unknown;
+}
+
+export interface TransportResult {
+  ok: boolean;
+  status: number;
+}
+
+export interface Transport {
+  name?: string;
+  /**
+   * Send one serialized batch. Rejecting or returning status >= 500 is
+   * retried; any other status removes the batch from the queue.
+   */
+  send(url: string, body: string, options: { beacon: false }): Promise<TransportResult>;
+  /** The page is unloading: fire and forget, the result is ignored */
+  send(url: string, body: string, options: { beacon: true }): Promise<TransportResult> | void;
+}
+
+/** Return the (possibly redacted) event, or null/false to drop it */
+export type BeforeSendHook = (event: TrackerEvent) => TrackerEvent | null | false | undefined;
+
+export interface PluginObject {
+  name?: string;
+  /** Called once on registration; detectors add listeners here */
+  setup?(tracker: PDFClientTracker): void;
+  beforeSend?: BeforeSendHook;
+  /** Replaces the tracker's transport */
+  transport?: Transport;
+}
+
+export type Plugin = PluginObject | ((tracker: PDFClientTracker) => void);
+
+export interface OverlayOptions {
+  lines: string[];
+  opacity?: number;
+}
+
+export interface TrackerConfig {
+  serverUrl?: string;
+  documentId: string;
+  recipientId: string;
+  watermarkId?: string;
+  /** Signed access token from the document link */
+  token: string;
+  enableTracking?: boolean;
+  /** ms between access checks, 0 disables them (default 15000) */
+  accessCheckInterval?: number;
+  onAccessDenied?: (reason: string) => void;
+  overlay?: OverlayOptions | null;
+  batchSize?: number;
+  flushInterval?: number;
+  maxRetryDelay?: number;
+  maxQueueSize?: number;
+  heatmapSampleInterval?: number;
+  detectCapture?: boolean;
+  idleTimeout?: number;
+  transport?: Transport;
+  beforeSend?: BeforeSendHook;
+  /** Registered before the first event (document-open) is tracked */
+  plugins?: Plugin[];
+}
+
+export declare class PDFClientTracker {
+  constructor(config: TrackerConfig);
+
+  static readonly VERSION: string;
+  static readonly HEATMAP_BANDS: number;
+  static readonly URGENT_EVENTS: Set<string>;
+  static fetchTransport: Transport;
+  static hashString(str: string, seed?: number): string;
+
+  readonly sessionId: string;
+  readonly plugins: PluginObject[];
+  transport: Transport;
+  currentPage: number;
+
+  use(plugin: Plugin): this;
+  beforeSend(hook: BeforeSendHook): this;
+
+  trackEvent(eventType: string, data?: Record<string, unknown>): void;
+  trackPageView(pageNumber?: number, timeSpent?: number): void;
+  trackForwarding(forwardedTo: string): void;
+  /** Hook a pdf.js PDFViewer and its EventBus for page and heatmap tracking */
+  attachPdfViewer(pdfViewer: unknown, eventBus: unknown): void;
+  getActiveTime(): number;
+  flush(options?: { beacon?: boolean }): Promise<void>;
+}
+
+export default PDFClientTracker;
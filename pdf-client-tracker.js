@@ -2,6 +2,9 @@
  * PDF CLIENT TRACKER
  * Tracks PDF document access, pages viewed, printing, downloading, etc.
  * Embed this script in PDFs or web pages to enable tracking
+ *
+ * This file is the SDK source. tracker-build.js wraps it into the versioned
+ * ES module / UMD bundles served under /sdk (types: pdf-client-tracker.d.ts).
  */
 
 class PDFClientTracker {
@@ -10,10 +13,39 @@ class PDFClientTracker {
     this.documentId = config.documentId;
     this.recipientId = config.recipientId;
     this.watermarkId = config.watermarkId;
+    this.token = config.token;
     this.enableTracking = config.enableTracking !== false;
+    this.accessCheckInterval = config.accessCheckInterval ?? 15000;
+    this.onAccessDenied = config.onAccessDenied;
+    // Sends serialized batches; replaceable by a transport plugin
+    this.transport = config.transport || PDFClientTracker.fetchTransport;
+    this.plugins = [];
+    this.beforeSendHooks = [];
+    // { lines: string[], opacity?: number } - on-screen recipient watermark
+    this.overlay = config.overlay || null;
+    // Events are queued (and persisted) then sent to /api/track/batch
+    this.batchSize = config.batchSize || 20;
+    this.flushInterval = config.flushInterval ?? 5000;
+    this.maxRetryDelay = config.maxRetryDelay || 60000;
+    this.maxQueueSize = config.maxQueueSize || 500;
+    // How often the visible page regions are sampled for the reading heatmap
+    this.heatmapSampleInterval = config.heatmapSampleInterval || 1000;
+    // Screenshot / devtools / select-all / drag-out detectors
+    this.detectCapture = config.detectCapture !== false;
+    // No mouse, keyboard, scroll or touch input for this long means idle
+    this.idleTimeout = config.idleTimeout || 30000;
     
     this.sessionId = this.generateSessionId();
-    this.pageTimeStarted = Date.now();
+    // Active (visible and not idle) time for the whole session, and per page
+    // since it was last reported
+    this.activeTime = 0;
+    this.pendingPageTime = {};
+    this.lastInteraction = Date.now();
+    this.isIdle = false;
+
+    this.queueKey = `vittal-tracker-queue:${this.documentId}:${this.recipientId}`;
+    this.queue = this.loadQueue();
+    this.retryDelay = 0;
     this.currentPage = 1;
     
     console.log('📍 Initializing PDF Tracker', {
@@ -22,9 +54,42 @@ class PDFClientTracker {
       serverUrl: this.serverUrl
     });
     
+    // Registered before init so their hooks also see document-open
+    if (config.beforeSend) this.beforeSend(config.beforeSend);
+    (config.plugins || []).forEach(plugin => this.use(plugin));
+    
     this.init();
   }
 
+  /**
+   * Register a plugin: either a function called with the tracker, or an
+   * object with any of { name, setup(tracker), beforeSend(event), transport }.
+   * Detectors use setup() to add listeners and call trackEvent().
+   * @returns {PDFClientTracker} this, for chaining
+   */
+  use(plugin) {
+    if (typeof plugin === 'function') {
+      plugin = { setup: plugin };
+    }
+
+    if (plugin.beforeSend) this.beforeSend(plugin.beforeSend);
+    if (plugin.transport) this.transport = plugin.transport;
+    if (plugin.setup) plugin.setup(this);
+
+    this.plugins.push(plugin);
+    return this;
+  }
+
+  /**
+   * Add a hook that runs on every event before it is queued (and persisted).
+   * Return the (possibly redacted) event, or null/false to drop it.
+   * @returns {PDFClientTracker} this, for chaining
+   */
+  beforeSend(hook) {
+    this.beforeSendHooks.push(hook);
+    return this;
+  }
+
   init() {
     if (!this.enableTracking) {
       console.log('📍 Tracking disabled');
@@ -35,7 +100,8 @@ class PDFClientTracker {
     this.trackEvent('document-open', {
       documentId: this.documentId,
       recipientId: this.recipientId,
-      watermarkId: this.watermarkId
+      watermarkId: this.watermarkId,
+      deviceFingerprint: this.getDeviceFingerprint()
     });
 
     // Setup event listeners
@@ -43,10 +109,66 @@ class PDFClientTracker {
     
     // Setup page tracking
     this.setupPageTracking();
+
+    // Send queued events (including any an earlier visit could not deliver)
+    this.setupQueueFlushing();
+
+    // Close the document if access is revoked or expires
+    this.setupAccessCheck();
+
+    // Tile the recipient identity over the viewer
+    if (this.overlay) {
+      this.setupWatermarkOverlay(this.overlay);
+    }
     
     console.log('✅ PDF Tracker initialized successfully');
   }
 
+  /**
+   * Stable identifier for this browser/device, sent with document-open so the
+   * server can tell how many devices a link was opened on. Only the hash is
+   * sent; the traits themselves never leave the browser.
+   * @returns {string} 32 hex characters
+   */
+  getDeviceFingerprint() {
+    if (this.deviceFingerprint) return this.deviceFingerprint;
+
+    const traits = [
+      `${screen.width}x${screen.height}x${screen.colorDepth}@${window.devicePixelRatio || 1}`,
+      Intl.DateTimeFormat().resolvedOptions().timeZone,
+      navigator.language,
+      (navigator.languages || []).join(','),
+      navigator.platform,
+      navigator.hardwareConcurrency || '',
+      this.getCanvasSignature()
+    ].join('|');
+
+    this.deviceFingerprint = PDFClientTracker.hashString(traits, 1) +
+                             PDFClientTracker.hashString(traits, 2);
+    return this.deviceFingerprint;
+  }
+
+  // Font rendering and anti-aliasing differ between GPUs, drivers and OSes
+  getCanvasSignature() {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = 240;
+      canvas.height = 60;
+      const ctx = canvas.getContext('2d');
+      ctx.textBaseline = 'top';
+      ctx.font = '16px Arial';
+      ctx.fillStyle = '#f60';
+      ctx.fillRect(100, 1, 62, 20);
+      ctx.fillStyle = '#069';
+      ctx.fillText('Vittal fingerprint \u{1F512}', 2, 15);
+      ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+      ctx.fillText('Vittal fingerprint \u{1F512}', 4, 17);
+      return PDFClientTracker.hashString(canvas.toDataURL(), 3);
+    } catch (e) {
+      return 'no-canvas';
+    }
+  }
+
   setupEventListeners() {
     // Track print
     window.addEventListener('beforeprint', () => {
@@ -86,98 +208,583 @@ class PDFClientTracker {
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
         console.log('❌ Tab hidden');
+        this.tickEngagement();
         this.recordPageTime();
+        this.reportVisibleRegions();
       } else {
         console.log('✅ Tab active');
-        this.pageTimeStarted = Date.now();
+        this.lastTick = Date.now();
+        this.markActive();
+      }
+    });
+
+    // Close the session with a final dwell report when the viewer is left
+    window.addEventListener('pagehide', () => {
+      if (!document.hidden) {
+        this.tickEngagement();
+        this.recordPageTime();
+        this.reportVisibleRegions();
       }
     });
 
     // Track page changes in PDF viewer
     this.trackPageChanges();
+
+    if (this.detectCapture) {
+      this.setupCaptureDetectors();
+    }
+  }
+
+  /**
+   * Report likely capture attempts. None of these can be blocked from a web
+   * page, but each is recorded and bursts are escalated by the server.
+   */
+  setupCaptureDetectors() {
+    this.lastCaptureReport = {};
+
+    // PrintScreen only fires keyup in most browsers
+    document.addEventListener('keyup', (e) => {
+      if (e.key === 'PrintScreen') {
+        this.reportCapture('screenshot-attempt', 'PrintScreen');
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      const key = (e.key || '').toLowerCase();
+
+      // macOS Cmd+Shift+3/4/5, Windows Win+Shift+S
+      if (e.metaKey && e.shiftKey && ['3', '4', '5', 's'].includes(key)) {
+        this.reportCapture('screenshot-attempt', `Meta+Shift+${e.key.toUpperCase()}`);
+      }
+
+      // F12, Ctrl+Shift+I/J/C, Cmd+Option+I/J/C
+      const devtoolsCombo = (e.ctrlKey && e.shiftKey) || (e.metaKey && e.altKey);
+      if (e.key === 'F12' || (devtoolsCombo && ['KeyI', 'KeyJ', 'KeyC'].includes(e.code))) {
+        this.reportCapture('devtools-opened', 'shortcut');
+      }
+
+      if ((e.metaKey || e.ctrlKey) && key === 'a') {
+        this.reportCapture('select-all', 'keyboard');
+      }
+    });
+
+    // Docked devtools shrink the viewport well below the window size
+    let devtoolsOpen = false;
+    this.devtoolsTimer = setInterval(() => {
+      const open = window.outerWidth - window.innerWidth > 160 ||
+                   window.outerHeight - window.innerHeight > 160;
+      if (open && !devtoolsOpen) {
+        this.reportCapture('devtools-opened', 'viewport');
+      }
+      devtoolsOpen = open;
+    }, 1000);
+
+    // Copying and immediately switching to another app usually means pasting elsewhere
+    document.addEventListener('copy', () => {
+      this.lastCopyAt = Date.now();
+    });
+    window.addEventListener('blur', () => {
+      const sinceCopy = Date.now() - (this.lastCopyAt || 0);
+      if (sinceCopy < 3000) {
+        this.reportCapture('copy-then-blur', `${sinceCopy}ms`);
+      }
+    });
+
+    document.addEventListener('dragstart', (e) => {
+      const target = e.target.nodeType === Node.ELEMENT_NODE ? e.target : e.target.parentElement;
+      const kind = target && target.tagName === 'IMG' ? 'image'
+        : target && target.tagName === 'CANVAS' ? 'canvas'
+        : 'text';
+      this.reportCapture('content-dragged', kind);
+    });
+  }
+
+  reportCapture(eventType, action) {
+    // A held key or repeated gesture is one attempt
+    const now = Date.now();
+    if (now - (this.lastCaptureReport[eventType] || 0) < 2000) return;
+    this.lastCaptureReport[eventType] = now;
+
+    console.log('📸 Capture attempt detected:', eventType, action);
+    this.trackEvent(eventType, {
+      documentId: this.documentId,
+      recipientId: this.recipientId,
+      action
+    });
   }
 
   trackPageChanges() {
-    // For PDF.js viewer
+    // Standalone PDF.js viewer (viewer.html) exposes its application globally
     if (window.PDFViewerApplication) {
-      const pdfViewer = window.PDFViewerApplication;
-      
-      pdfViewer.eventBus.on('pagerendered', (event) => {
-        this.currentPage = pdfViewer.pdfViewer.currentPageNumber;
-        
-        this.trackEvent('page-view', {
-          documentId: this.documentId,
-          recipientId: this.recipientId,
-          pageNumber: this.currentPage,
-          timeSpent: Date.now() - this.pageTimeStarted
-        });
-        
-        this.pageTimeStarted = Date.now();
-      });
+      const app = window.PDFViewerApplication;
+      this.attachPdfViewer(app.pdfViewer, app.eventBus);
+    }
+  }
+
+  /**
+   * Report page changes and per-page active time from a PDF.js viewer
+   * @param {PDFViewer} pdfViewer - pdfjs-dist/web/pdf_viewer PDFViewer
+   * @param {EventBus} eventBus - The event bus the viewer was created with
+   */
+  attachPdfViewer(pdfViewer, eventBus) {
+    this.pdfViewer = pdfViewer;
+    this.setupHeatmapTracking(pdfViewer.container);
+
+    eventBus.on('pagesinit', () => {
+      this.totalPages = pdfViewer.pagesCount;
+      this.currentPage = pdfViewer.currentPageNumber;
+    });
+
+    eventBus.on('pagechanging', ({ pageNumber }) => {
+      if (pageNumber === this.currentPage) return;
+
+      // Close out the active time of the page being left
+      this.tickEngagement();
+      this.recordPageTime();
+      this.currentPage = pageNumber;
+    });
+  }
+
+  /**
+   * Sample which vertical bands of each rendered page are on screen.
+   * Time per band is accumulated locally and sent as deltas with the
+   * heartbeat ('page-regions'), along with the furthest scroll depth.
+   * @param {HTMLElement} container - The PDF.js viewer's scroll container
+   */
+  setupHeatmapTracking(container) {
+    if (!container) return;
+
+    this.heatmapContainer = container;
+    this.regionTimes = {};
+    this.scrollDepth = 0;
+
+    this.heatmapTimer = setInterval(() => this.sampleVisibleRegions(), this.heatmapSampleInterval);
+  }
+
+  sampleVisibleRegions() {
+    if (document.hidden || this.isIdle || !this.enableTracking) return;
+
+    const container = this.heatmapContainer;
+    const view = container.getBoundingClientRect();
+    const bandCount = PDFClientTracker.HEATMAP_BANDS;
+
+    for (const page of container.querySelectorAll('.page[data-page-number]')) {
+      const rect = page.getBoundingClientRect();
+      if (rect.height === 0 || rect.bottom <= view.top || rect.top >= view.bottom) continue;
+
+      const pageNumber = Number(page.dataset.pageNumber);
+      const bandHeight = rect.height / bandCount;
+
+      for (let band = 0; band < bandCount; band++) {
+        const top = rect.top + band * bandHeight;
+        const visible = Math.min(top + bandHeight, view.bottom) - Math.max(top, view.top);
+
+        // A band counts as read once at least half of it is on screen
+        if (visible >= Math.min(bandHeight, view.height) / 2) {
+          const bands = this.regionTimes[pageNumber] ||= new Array(bandCount).fill(0);
+          bands[band] += this.heatmapSampleInterval;
+        }
+      }
+    }
+
+    if (container.scrollHeight > 0) {
+      const depth = (container.scrollTop + container.clientHeight) / container.scrollHeight;
+      this.scrollDepth = Math.max(this.scrollDepth, Math.min(depth, 1));
     }
   }
 
+  reportVisibleRegions() {
+    if (!this.regionTimes) return;
+
+    const regions = Object.entries(this.regionTimes).map(([pageNumber, bands]) => ({
+      pageNumber: Number(pageNumber),
+      bands
+    }));
+    if (regions.length === 0) return;
+
+    this.regionTimes = {};
+    this.trackEvent('page-regions', {
+      documentId: this.documentId,
+      recipientId: this.recipientId,
+      regions,
+      scrollDepth: Math.round(this.scrollDepth * 1000) / 1000
+    });
+  }
+
   setupPageTracking() {
-    // Send heartbeat every 30 seconds
+    // Any input marks the reader as present
+    const onInput = () => this.markActive();
+    for (const type of ['mousemove', 'mousedown', 'keydown', 'wheel', 'scroll', 'touchstart']) {
+      document.addEventListener(type, onInput, { capture: true, passive: true });
+    }
+
+    // Count active time every second
+    this.lastTick = Date.now();
+    this.engagementTimer = setInterval(() => this.tickEngagement(), 1000);
+
+    // Send heartbeat every 30 seconds (only the active time since the last one)
     setInterval(() => {
       if (!document.hidden && this.enableTracking) {
-        this.trackEvent('page-view', {
-          documentId: this.documentId,
-          recipientId: this.recipientId,
-          pageNumber: this.currentPage,
-          timeSpent: Date.now() - this.pageTimeStarted
-        });
+        this.recordPageTime();
+        this.reportVisibleRegions();
       }
     }, 30000);
   }
 
+  markActive() {
+    if (this.isIdle) {
+      console.log('✅ Reader active again');
+      this.isIdle = false;
+    }
+    this.lastInteraction = Date.now();
+  }
+
+  /**
+   * Add the time since the previous tick to the session and the current page,
+   * unless the tab is hidden or the reader has gone idle
+   */
+  tickEngagement() {
+    const now = Date.now();
+    // Background tabs throttle timers, so never credit more than one missed tick
+    const elapsed = Math.min(now - (this.lastTick || now), 2000);
+    this.lastTick = now;
+
+    if (document.hidden) return;
+
+    if (now - this.lastInteraction >= this.idleTimeout) {
+      if (!this.isIdle) {
+        console.log('💤 Reader idle');
+        this.isIdle = true;
+      }
+      return;
+    }
+
+    this.activeTime += elapsed;
+    this.pendingPageTime[this.currentPage] = (this.pendingPageTime[this.currentPage] || 0) + elapsed;
+  }
+
+  setupAccessCheck() {
+    if (!this.token || !this.accessCheckInterval) return;
+
+    this.accessTimer = setInterval(async () => {
+      try {
+        const res = await fetch(
+          `${this.serverUrl}/api/track/access?token=${encodeURIComponent(this.token)}`
+        );
+        const status = await res.json();
+        if (!status.allowed) {
+          this.handleAccessDenied(status.reason);
+        }
+      } catch (e) {
+        console.warn('⚠️ Access check failed:', e);
+      }
+    }, this.accessCheckInterval);
+  }
+
+  handleAccessDenied(reason) {
+    console.log('🚫 Access denied:', reason);
+    clearInterval(this.accessTimer);
+    this.enableTracking = false;
+
+    if (this.onAccessDenied) {
+      this.onAccessDenied(reason);
+    }
+  }
+
+  /**
+   * Draw a tiled, semi-transparent watermark over the whole viewport.
+   * The overlay lives in a closed shadow root, ignores pointer events and
+   * is re-injected (and reported) if it is removed or hidden.
+   * @param {Object} options
+   * @param {string[]} options.lines - Recipient identity (email, IP, ...)
+   * @param {number} [options.opacity] - Tile opacity, 0-1
+   */
+  setupWatermarkOverlay({ lines = [], opacity = 0.15 } = {}) {
+    this.overlayLines = lines.filter(Boolean);
+    this.overlayOpacity = opacity;
+    this.lastTamperReport = 0;
+
+    this.injectWatermarkOverlay();
+
+    // Catch removal of the overlay host from <body>
+    this.overlayObserver = new MutationObserver(() => this.checkWatermarkOverlay());
+    this.overlayObserver.observe(document.body, { childList: true });
+
+    // Catch stylesheet tricks that a MutationObserver cannot see
+    this.overlayCheckTimer = setInterval(() => this.checkWatermarkOverlay(), 2000);
+
+    // Keep the timestamp in the tiles current for screenshots
+    this.overlayRefreshTimer = setInterval(() => this.updateWatermarkTile(), 30000);
+  }
+
+  injectWatermarkOverlay() {
+    const host = document.createElement('div');
+    host.setAttribute('aria-hidden', 'true');
+    const hostStyles = {
+      position: 'fixed',
+      inset: '0',
+      'z-index': '2147483647',
+      'pointer-events': 'none',
+      display: 'block',
+      visibility: 'visible',
+      opacity: '1'
+    };
+    for (const [prop, value] of Object.entries(hostStyles)) {
+      host.style.setProperty(prop, value, 'important');
+    }
+
+    const shadow = host.attachShadow({ mode: 'closed' });
+    const tile = document.createElement('div');
+    tile.style.cssText = `position:absolute;inset:0;background-repeat:repeat;opacity:${this.overlayOpacity};`;
+    shadow.appendChild(tile);
+
+    document.body.appendChild(host);
+
+    this.overlayHost = host;
+    this.overlayTile = tile;
+    this.overlayHostStyle = host.getAttribute('style');
+    this.updateWatermarkTile();
+
+    // Catch inline style edits on the host itself
+    if (this.overlayObserver) {
+      this.overlayObserver.observe(host, { attributes: true });
+    }
+  }
+
+  updateWatermarkTile() {
+    if (!this.overlayTile) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 360;
+    canvas.height = 200;
+    const ctx = canvas.getContext('2d');
+    const lines = [...this.overlayLines, new Date().toLocaleString()];
+
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(-Math.PI / 8);
+    ctx.fillStyle = '#555';
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'center';
+    lines.forEach((line, i) => {
+      ctx.fillText(line, 0, (i - (lines.length - 1) / 2) * 18);
+    });
+
+    this.overlayTile.style.backgroundImage = `url(${canvas.toDataURL()})`;
+  }
+
+  checkWatermarkOverlay() {
+    const host = this.overlayHost;
+    if (!host) return;
+
+    if (!host.isConnected) {
+      return this.restoreWatermarkOverlay('removed');
+    }
+    if (host.getAttribute('style') !== this.overlayHostStyle) {
+      return this.restoreWatermarkOverlay('style-modified');
+    }
+
+    const computed = window.getComputedStyle(host);
+    if (computed.display === 'none' || computed.visibility !== 'visible' ||
+        parseFloat(computed.opacity) < 1) {
+      return this.restoreWatermarkOverlay('hidden');
+    }
+  }
+
+  restoreWatermarkOverlay(reason) {
+    console.log('🛡️ Watermark overlay tampered:', reason);
+
+    if (this.overlayHost) this.overlayHost.remove();
+    this.injectWatermarkOverlay();
+
+    // One report per burst of tampering
+    if (Date.now() - this.lastTamperReport < 10000) return;
+    this.lastTamperReport = Date.now();
+
+    this.trackEvent('watermark-tampered', {
+      documentId: this.documentId,
+      recipientId: this.recipientId,
+      reason
+    });
+  }
+
+  getActiveTime() {
+    return this.activeTime;
+  }
+
+  // Report active time per page since the last report (never overlapping)
   recordPageTime() {
-    const timeSpent = Date.now() - this.pageTimeStarted;
-    
+    const pending = this.pendingPageTime;
+    this.pendingPageTime = {};
+
+    for (const [pageNumber, timeSpent] of Object.entries(pending)) {
+      if (timeSpent > 0) {
+        this.trackPageView(Number(pageNumber), timeSpent);
+      }
+    }
+  }
+
+  trackPageView(pageNumber = this.currentPage, timeSpent = 0) {
     this.trackEvent('page-view', {
       documentId: this.documentId,
       recipientId: this.recipientId,
-      pageNumber: this.currentPage,
-      timeSpent: timeSpent
+      pageNumber,
+      timeSpent
     });
   }
 
+  /**
+   * Queue an event for delivery.
+   * Besides the built-in types (document-open, page-view, print, ...) any
+   * custom type registered on the server (PUT /api/event-types/:name) works,
+   * e.g. tracker.trackEvent('signature_completed', { action: 'page 4' })
+   * @param {string} eventType
+   * @param {Object} [data]
+   */
   trackEvent(eventType, data = {}) {
     if (!this.enableTracking) return;
 
-    const endpoint = this.getEndpoint(eventType);
-    const payload = {
+    let event = {
+      id: this.generateEventId(),
+      type: eventType,
+      watermarkId: this.watermarkId,
       ...data,
       timestamp: new Date().toISOString(),
       userAgent: navigator.userAgent,
-      sessionId: this.sessionId
+      sessionId: this.sessionId,
+      pagePath: window.location.pathname,
+      activeTime: this.getActiveTime()
     };
 
-    // Use sendBeacon for reliability (doesn't block page unload)
-    if (navigator.sendBeacon) {
-      navigator.sendBeacon(endpoint, JSON.stringify(payload));
+    for (const hook of this.beforeSendHooks) {
+      try {
+        event = hook(event);
+      } catch (e) {
+        // A failing redaction hook must not leak the unredacted event
+        console.warn('⚠️ beforeSend hook failed, event dropped:', e);
+        return;
+      }
+      if (!event) return;
+    }
+
+    this.queue.push(event);
+
+    // Never let an offline reader grow the queue without bound
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.splice(0, this.queue.length - this.maxQueueSize);
+    }
+    this.saveQueue();
+
+    // High-risk events go out right away, the rest are batched
+    if (PDFClientTracker.URGENT_EVENTS.has(eventType) || this.queue.length >= this.batchSize) {
+      this.flush();
     } else {
-      // Fallback to fetch
-      fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-        keepalive: true
-      }).catch(e => console.warn('⚠️ Tracking failed:', e));
+      this.scheduleFlush(this.flushInterval);
     }
   }
 
-  getEndpoint(eventType) {
-    const baseUrl = `${this.serverUrl}/api/track`;
-    
-    switch(eventType) {
-      case 'document-open': return `${baseUrl}/document-open`;
-      case 'page-view': return `${baseUrl}/page-view`;
-      case 'download': return `${baseUrl}/download`;
-      case 'print': return `${baseUrl}/print`;
-      case 'forward': return `${baseUrl}/forward`;
-      case 'copy': return `${baseUrl}/copy`;
-      default: return `${baseUrl}/event`;
+  setupQueueFlushing() {
+    // Retry straight away when the connection comes back
+    window.addEventListener('online', () => {
+      this.retryDelay = 0;
+      this.flush();
+    });
+
+    // Last chance to deliver before the viewer goes away
+    window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+
+    if (this.queue.length > 0) {
+      this.scheduleFlush(0);
+    }
+  }
+
+  scheduleFlush(delay) {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  /**
+   * Send queued events to /api/track/batch.
+   * Events stay queued until the server acknowledges them; retries are safe
+   * because the server ignores event ids it has already stored.
+   * @param {Object} [options]
+   * @param {boolean} [options.beacon] - Use sendBeacon (page is unloading)
+   */
+  async flush({ beacon = false } = {}) {
+    if (this.queue.length === 0) return;
+
+    const batch = this.queue.slice(0, this.batchSize);
+    const body = JSON.stringify({ token: this.token, events: batch });
+    const endpoint = `${this.serverUrl}/api/track/batch`;
+
+    // A beacon gives no answer, so the batch stays queued for the next visit
+    if (beacon) {
+      this.transport.send(endpoint, body, { beacon: true });
+      return;
+    }
+
+    if (this.flushing) return;
+    this.flushing = true;
+
+    try {
+      const res = await this.transport.send(endpoint, body, { beacon: false });
+
+      // A transport that gives no result would fail the same way on every retry
+      if (!res || typeof res.status !== 'number') {
+        console.warn('⚠️ Tracking transport returned no result, dropping batch');
+        this.removeFromQueue(batch);
+        return;
+      }
+
+      // Server errors are worth retrying; a rejected token or batch is not
+      if (res.status >= 500) {
+        throw new Error(`Server responded ${res.status}`);
+      }
+      if (!res.ok) {
+        console.warn('⚠️ Tracking batch rejected:', res.status);
+      }
+
+      this.removeFromQueue(batch);
+      this.retryDelay = 0;
+    } catch (e) {
+      this.retryDelay = Math.min(Math.max(this.retryDelay * 2, 1000), this.maxRetryDelay);
+      console.warn(`⚠️ Tracking failed, retrying in ${this.retryDelay}ms:`, e);
+      this.scheduleFlush(this.retryDelay);
+      return;
+    } finally {
+      this.flushing = false;
+    }
+
+    if (this.queue.length > 0) {
+      this.flush();
+    }
+  }
+
+  removeFromQueue(batch) {
+    const sent = new Set(batch.map(e => e.id));
+    this.queue = this.queue.filter(e => !sent.has(e.id));
+    this.saveQueue();
+  }
+
+  loadQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(this.queueKey)) || [];
+    } catch (e) {
+      return []; // storage unavailable (private mode) or corrupt
+    }
+  }
+
+  saveQueue() {
+    try {
+      if (this.queue.length > 0) {
+        localStorage.setItem(this.queueKey, JSON.stringify(this.queue));
+      } else {
+        localStorage.removeItem(this.queueKey);
+      }
+    } catch (e) {
+      // Storage full or unavailable; the in-memory queue still works
     }
   }
 
@@ -190,12 +797,69 @@ class PDFClientTracker {
     });
   }
 
+  generateEventId() {
+    if (window.crypto && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return 'evt_' + Math.random().toString(36).substring(2, 15) +
+           Date.now().toString(36);
+  }
+
   generateSessionId() {
     return 'session_' + Math.random().toString(36).substring(2, 15) + 
            Date.now().toString(36);
   }
 }
 
+// 53-bit string hash (cyrb53) as 16 hex characters
+PDFClientTracker.hashString = function (str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Vertical regions per page in the reading heatmap (matches the server)
+PDFClientTracker.HEATMAP_BANDS = 10;
+
+// Sent immediately instead of waiting for the next batch
+PDFClientTracker.URGENT_EVENTS = new Set([
+  'document-open', 'download', 'print', 'forward', 'watermark-tampered',
+  'screenshot-attempt', 'devtools-opened', 'copy-then-blur', 'content-dragged'
+]);
+
+// SDK version (tracker-build.js names the bundles after it)
+PDFClientTracker.VERSION = '1.0.0';
+
+/**
+ * Default transport. A transport's send(url, body, { beacon }) resolves to
+ * { ok, status }; with beacon: true the page is unloading and no answer is used.
+ */
+PDFClientTracker.fetchTransport = {
+  name: 'fetch',
+  send(url, body, { beacon = false } = {}) {
+    if (beacon && navigator.sendBeacon) {
+      // text/plain is CORS-safelisted, so cross-origin embeds can beacon
+      // without a preflight (the server parses it as JSON)
+      navigator.sendBeacon(url, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+      return Promise.resolve({ ok: true, status: 0 });
+    }
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true
+    }).then(res => ({ ok: res.ok, status: res.status }));
+  }
+};
+
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = PDFClientTracker;
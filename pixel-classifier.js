@@ -0,0 +1,157 @@
+/**
+ * PIXEL HIT CLASSIFIER
+ * Tells genuine email opens apart from image proxies, privacy prefetches and
+ * security scanners, using the user agent, source IP range and how soon after
+ * the email was sent the pixel was fetched. Also used for click-tracked links,
+ * which the same scanners follow on delivery.
+ */
+
+// Fetched on behalf of a reader who really opened the email (location is the proxy's)
+const PROXY_USER_AGENTS = [
+  { pattern: /GoogleImageProxy/i, name: 'Gmail image proxy' },
+  { pattern: /YahooMailProxy/i, name: 'Yahoo Mail proxy' },
+  { pattern: /ggpht\.com/i, name: 'Gmail image proxy' }
+];
+
+// Automated link and attachment checkers, no reader involved
+const SCANNER_USER_AGENTS = [
+  { pattern: /proofpoint|mimecast|barracuda|forcepoint|symantec|trendmicro|sophos/i, name: 'mail security gateway' },
+  { pattern: /bot\b|crawler|spider|preview/i, name: 'bot' },
+  { pattern: /HeadlessChrome|PhantomJS/i, name: 'headless browser' },
+  { pattern: /^(curl|wget|python-requests|python-urllib|Go-http-client|Java|okhttp|axios|node-fetch)/i, name: 'HTTP library' }
+];
+
+const IP_RANGES = {
+  // Apple Mail Privacy Protection fetches every image when the mail arrives
+  prefetch: [
+    { cidr: '17.0.0.0/8', name: 'Apple' }
+  ],
+  proxy: [
+    { cidr: '66.102.0.0/20', name: 'Google' },
+    { cidr: '66.249.80.0/20', name: 'Google' },
+    { cidr: '64.233.160.0/19', name: 'Google' },
+    { cidr: '72.14.192.0/18', name: 'Google' },
+    { cidr: '74.125.0.0/16', name: 'Google' }
+  ],
+  // Exchange Online Protection / Defender link scanning
+  scanner: [
+    { cidr: '40.92.0.0/15', name: 'Microsoft EOP' },
+    { cidr: '40.107.0.0/16', name: 'Microsoft EOP' },
+    { cidr: '52.100.0.0/14', name: 'Microsoft EOP' },
+    { cidr: '104.47.0.0/17', name: 'Microsoft EOP' }
+  ]
+};
+
+// Apple's privacy relay also egresses over IPv6
+const IPV6_PREFETCH_PREFIXES = ['2a01:b740:'];
+
+// Nobody reads an email this soon after it was sent; scanners do
+const SCANNER_WINDOW_MS = 10 * 1000;
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(p => !Number.isInteger(p) || p < 0 || p > 255)) {
+    return null;
+  }
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+function inCidr(ip, cidr) {
+  const [range, bits] = cidr.split('/');
+  const ipInt = ipv4ToInt(ip);
+  if (ipInt === null) return false;
+  const mask = bits === '0' ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return (ipInt & mask) === (ipv4ToInt(range) & mask);
+}
+
+function matchIpRange(ip) {
+  const address = String(ip || '').trim().replace(/^::ffff:/i, '');
+
+  if (address.includes(':')) {
+    const lower = address.toLowerCase();
+    if (IPV6_PREFETCH_PREFIXES.some(prefix => lower.startsWith(prefix))) {
+      return { classification: 'prefetch', name: 'Apple' };
+    }
+    return null;
+  }
+
+  for (const [classification, ranges] of Object.entries(IP_RANGES)) {
+    const range = ranges.find(r => inCidr(address, r.cidr));
+    if (range) return { classification, name: range.name };
+  }
+  return null;
+}
+
+// emails.sentAt is ISO from send-email.js, or SQLite's UTC CURRENT_TIMESTAMP
+function parseSentAt(sentAt) {
+  if (!sentAt) return NaN;
+  const iso = /[zZ]|[+-]\d\d:?\d\d$/.test(sentAt) ? sentAt : `${sentAt.replace(' ', 'T')}Z`;
+  return new Date(iso).getTime();
+}
+
+/**
+ * Classify one tracking pixel fetch
+ * @param {Object} hit
+ * @param {string} [hit.userAgent]
+ * @param {string} [hit.ipAddress]
+ * @param {string} [hit.sentAt] - When the email was sent (emails.sentAt)
+ * @param {Date|string|number} [hit.timestamp] - When the pixel was fetched
+ * @returns {{ classification: 'human'|'proxy'|'prefetch'|'scanner', reason: string }}
+ */
+function classifyPixelHit({ userAgent, ipAddress, sentAt, timestamp = Date.now() }) {
+  const ua = String(userAgent || '').trim();
+
+  if (!ua) {
+    return { classification: 'scanner', reason: 'ua:missing' };
+  }
+
+  const scanner = SCANNER_USER_AGENTS.find(s => s.pattern.test(ua));
+  if (scanner) {
+    return { classification: 'scanner', reason: `ua:${scanner.name}` };
+  }
+
+  const proxy = PROXY_USER_AGENTS.find(p => p.pattern.test(ua));
+  if (proxy) {
+    return { classification: 'proxy', reason: `ua:${proxy.name}` };
+  }
+
+  const range = matchIpRange(ipAddress);
+  if (range) {
+    return { classification: range.classification, reason: `ip:${range.name}` };
+  }
+
+  // Apple's prefetcher sends a bare "Mozilla/5.0" with no platform details
+  if (ua === 'Mozilla/5.0') {
+    return { classification: 'prefetch', reason: 'ua:bare Mozilla/5.0' };
+  }
+
+  const elapsed = new Date(timestamp).getTime() - parseSentAt(sentAt);
+  if (elapsed >= 0 && elapsed < SCANNER_WINDOW_MS) {
+    return { classification: 'scanner', reason: `timing:${Math.round(elapsed / 1000)}s after send` };
+  }
+
+  return { classification: 'human', reason: 'no machine signals' };
+}
+
+/**
+ * Whether a stored event came from a machine rather than a reader.
+ * Events recorded before classification existed count as human.
+ */
+function isMachineHit(event) {
+  return Boolean(event.classification) && event.classification !== 'human';
+}
+
+// Hits that say nothing about whether the email was read. Proxy hits are
+// machines too, but they only fetch when a reader opens the email.
+const NON_OPEN_CLASSIFICATIONS = ['prefetch', 'scanner'];
+
+/**
+ * Whether a stored pixel hit (or link click) counts as a real open.
+ * Unlike isMachineHit, proxy hits count: their location is the proxy's,
+ * but the reader behind them is real.
+ */
+function isCountedOpen(event) {
+  return !NON_OPEN_CLASSIFICATIONS.includes(event.classification);
+}
+
+module.exports = { classifyPixelHit, isMachineHit, isCountedOpen, NON_OPEN_CLASSIFICATIONS };
@@ -4,8 +4,11 @@
  */
 
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 require('dotenv').config();
+const { html } = require('./html-template');
 
 // Fix for nodemailer import
 let nodemailer;
@@ -23,7 +26,7 @@ let Database;
 let db;
 try {
   Database = require('better-sqlite3');
-  db = new Database('./tracking.db');
+  db = new Database(require('./init-db').DB_PATH);
 } catch (err) {
   console.error('❌ Error loading database:', err.message);
   console.log('\nPlease run: node init-db.js');
@@ -31,16 +34,27 @@ try {
 }
 
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || './uploads');
 
 // === NEW: use EmailTracker for unified tracking templates ===
 const EmailTracker = require('./email-tracker');
+const { loadTemplate } = require('./email-templates');
+const { generateWatermarkId, watermarkPdf } = require('./pdf-watermarker');
 const tracker = new EmailTracker(SERVER_URL);
 
 // ============================================
 // EMAIL CONFIGURATION
 // ============================================
 
-function createTransporter() {
+// Campaign sends per minute unless the caller asks for another rate
+const DEFAULT_CAMPAIGN_RATE = parseInt(process.env.SMTP_RATE_PER_MINUTE) || 20;
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.ratePerMinute] - Pool one connection and let
+ *   nodemailer hold messages back to this many per minute (campaigns)
+ */
+function createTransporter({ ratePerMinute } = {}) {
   const config = {
     host: process.env.SMTP_HOST || 'smtp.gmail.com',
     port: parseInt(process.env.SMTP_PORT) || 587,
@@ -51,14 +65,33 @@ function createTransporter() {
     }
   };
 
+  if (ratePerMinute) {
+    Object.assign(config, {
+      pool: true,
+      maxConnections: 1,
+      rateDelta: 60 * 1000,
+      rateLimit: ratePerMinute
+    });
+  }
+
   console.log('📧 Creating email transporter...');
   console.log('   Host:', config.host);
   console.log('   Port:', config.port);
   console.log('   User:', config.auth.user);
+  if (ratePerMinute) console.log('   Rate:', `${ratePerMinute}/min`);
   
   return nodemailer.createTransport(config);
 }
 
+// Single sends (one-off emails, verification codes) share one transporter,
+// created on first use; campaigns create and close their own
+let singleSendTransporter = null;
+
+function getSingleSendTransporter() {
+  if (!singleSendTransporter) singleSendTransporter = createTransporter();
+  return singleSendTransporter;
+}
+
 // ============================================
 // EMAIL TEMPLATE GENERATOR (NOW USING EmailTracker)
 // ============================================
@@ -72,9 +105,33 @@ function generateTrackedEmail(options) {
     message,
     senderName,
     documentId,
-    recipientId
+    recipientId,
+    template,
+    fields
   } = options;
 
+  // A stored template renders its own subject, HTML and plain text
+  if (template) {
+    const rendered = tracker.generateFromTemplate(template, {
+      recipientEmail,
+      recipientName,
+      subject: subject || 'Important Document',
+      documentName: documentName || 'confidential_report.pdf',
+      message: message || 'Please review the attached document.',
+      senderName: senderName || 'Your Company',
+      documentId,
+      recipientId,
+      fields
+    });
+    return {
+      documentId: rendered.documentId,
+      recipientId: rendered.recipientId,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text
+    };
+  }
+
   // Use EmailTracker to build the HTML with pixel + tracking script
   const emailHtmlData = tracker.generateEmailHTML({
     recipientEmail,
@@ -87,24 +144,21 @@ function generateTrackedEmail(options) {
     recipientId
   });
 
-  const finalDocumentId = emailHtmlData.documentId;
-  const finalRecipientId = emailHtmlData.recipientId;
-
-  // Build the same document link for the plain-text version
-  const documentLink = `${SERVER_URL}/documents/${finalDocumentId}?recipient=${finalRecipientId}&name=${encodeURIComponent(documentName)}`;
-
+  // Reuse the same signed document link for the plain-text version
   const text = tracker.generatePlainText({
     recipientEmail,
     recipientName,
     documentName,
     message,
     senderName,
-    documentLink
+    documentLink: emailHtmlData.documentLink,
+    links: emailHtmlData.links
   });
 
   return {
-    documentId: finalDocumentId,
-    recipientId: finalRecipientId,
+    documentId: emailHtmlData.documentId,
+    recipientId: emailHtmlData.recipientId,
+    subject: subject || 'Important Document',
     html: emailHtmlData.html,
     text
   };
@@ -119,12 +173,43 @@ async function sendTrackedEmail(options) {
     recipientEmail,
     recipientName = '',
     subject,
-    documentName,
     message,
-    senderName = process.env.SENDER_NAME || 'Your Company'
+    senderName = process.env.SENDER_NAME || 'Your Company',
+    documentId,
+    // Name of a stored template (email_templates) and its custom merge fields
+    templateName,
+    fields = {},
+    campaignId = null,
+    // Attach a watermarked copy of the uploaded document (link-only by default)
+    attachDocument = false,
+    // Campaigns share one rate-limited transporter and print one line per email
+    transporter = getSingleSendTransporter(),
+    verbose = true
   } = options;
+  let { documentName } = options;
 
-  console.log('\n📧 Preparing to send tracked email...\n');
+  if (verbose) console.log('\n📧 Preparing to send tracked email...\n');
+
+  // Link to an uploaded document (POST /api/documents) when one is given
+  let document = null;
+  if (documentId) {
+    document = db.prepare('SELECT * FROM documents WHERE id = ?').get(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found. Upload it via POST /api/documents first.`);
+    }
+    documentName = documentName || document.name;
+  }
+  if (attachDocument && !document) {
+    throw new Error('attachDocument needs the documentId of an uploaded document.');
+  }
+
+  let template;
+  if (templateName) {
+    template = loadTemplate(db, templateName);
+    if (!template) {
+      throw new Error(`Template "${templateName}" not found. Create it via PUT /api/templates/${templateName} first.`);
+    }
+  }
 
   // Generate tracked email (now backed by EmailTracker)
   const emailData = generateTrackedEmail({
@@ -133,55 +218,86 @@ async function sendTrackedEmail(options) {
     subject,
     documentName,
     message,
-    senderName
+    senderName,
+    documentId,
+    template,
+    fields
   });
 
   // Save to database
+  const emailId = crypto.randomUUID();
   try {
     const stmt = db.prepare(`
-      INSERT INTO emails (id, documentId, recipientId, recipientEmail, recipientName, subject, documentName, sentAt)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO emails (id, documentId, recipientId, recipientEmail, recipientName, subject, documentName, sentAt, campaignId)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    const emailId = crypto.randomUUID();
     stmt.run(
       emailId,
       emailData.documentId,
       emailData.recipientId,
       recipientEmail,
       recipientName,
-      subject,
+      emailData.subject,
       documentName,
-      new Date().toISOString()
+      new Date().toISOString(),
+      campaignId
     );
-    console.log('✅ Email record saved to database\n');
+    if (verbose) console.log('✅ Email record saved to database\n');
   } catch (err) {
     console.error('⚠️  Database error:', err.message);
   }
 
   // Send email
-  const transporter = createTransporter();
-
   const mailOptions = {
-    from: `"${senderName}" <${process.env.EMAIL_USER}>`,
+    from: { name: senderName, address: process.env.EMAIL_USER },
     to: recipientEmail,
-    subject: subject,
+    subject: emailData.subject,
     text: emailData.text,
     html: emailData.html
   };
 
+  let watermarkId = null;
   try {
-    console.log('📤 Sending email...\n');
+    if (attachDocument) {
+      const attachment = await createWatermarkedAttachment(document, {
+        emailId,
+        recipientId: emailData.recipientId,
+        recipientEmail
+      });
+      watermarkId = attachment.watermarkId;
+      mailOptions.attachments = [{
+        filename: attachment.filename,
+        content: attachment.content,
+        contentType: attachment.contentType
+      }];
+      if (verbose) console.log(`📎 Attached copy watermarked ${watermarkId}\n`);
+    }
+
+    if (verbose) console.log('📤 Sending email...\n');
     const info = await transporter.sendMail(mailOptions);
+
+    if (!verbose) {
+      console.log(`✅ Sent to ${recipientEmail} (recipient ${emailData.recipientId})`);
+      return {
+        success: true,
+        messageId: info.messageId,
+        emailId,
+        documentId: emailData.documentId,
+        recipientId: emailData.recipientId,
+        watermarkId
+      };
+    }
     
     console.log('✅ Email sent successfully!\n');
     console.log('━'.repeat(60));
     console.log(`📨 To: ${recipientEmail}`);
-    console.log(`📋 Subject: ${subject}`);
+    console.log(`📋 Subject: ${emailData.subject}`);
     console.log(`📄 Document: ${documentName}`);
     console.log(`🆔 Document ID: ${emailData.documentId}`);
     console.log(`🆔 Recipient ID: ${emailData.recipientId}`);
     console.log(`📊 Message ID: ${info.messageId}`);
+    if (watermarkId) console.log(`📎 Attachment watermark: ${watermarkId}`);
     console.log('━'.repeat(60));
     console.log('\n🎯 Tracking is now ACTIVE!\n');
     console.log('When the recipient:');
@@ -196,12 +312,15 @@ async function sendTrackedEmail(options) {
     return {
       success: true,
       messageId: info.messageId,
+      emailId,
       documentId: emailData.documentId,
-      recipientId: emailData.recipientId
+      recipientId: emailData.recipientId,
+      watermarkId
     };
   } catch (error) {
-    console.error('\n❌ Error sending email:', error.message);
-    if (error.message.includes('Invalid login')) {
+    db.prepare("UPDATE emails SET status = 'failed' WHERE id = ?").run(emailId);
+    console.error(`\n❌ Error sending email to ${recipientEmail}:`, error.message);
+    if (verbose && error.message.includes('Invalid login')) {
       console.log('\n💡 Tips:');
       console.log('   • Gmail: Use App Password (not regular password)');
       console.log('   • Generate at: https://myaccount.google.com/apppasswords');
@@ -211,6 +330,294 @@ async function sendTrackedEmail(options) {
   }
 }
 
+// ============================================
+// ATTACHMENTS (per-recipient watermarked copy)
+// ============================================
+
+/**
+ * Stamp a copy of an uploaded document for one recipient and record it in
+ * the watermarks table against the emails row, so a leaked attachment traces
+ * back to this email (POST /api/forensics/identify)
+ * @returns {Promise<{ filename: string, content: Buffer, contentType: string, watermarkId: string }>}
+ */
+async function createWatermarkedAttachment(document, { emailId, recipientId, recipientEmail }) {
+  const watermarkId = generateWatermarkId();
+  const createdAt = new Date();
+
+  const content = await watermarkPdf(fs.readFileSync(path.join(UPLOAD_DIR, document.fileName)), {
+    watermarkId,
+    recipientLabel: recipientEmail || recipientId,
+    timestamp: createdAt
+  });
+
+  db.prepare(`
+    INSERT INTO watermarks (id, documentId, recipientId, recipientEmail, emailId, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(watermarkId, document.id, recipientId, recipientEmail, emailId, createdAt.toISOString());
+
+  // Mail clients pick the viewer from the extension
+  const filename = /\.pdf$/i.test(document.name) ? document.name : `${document.name}.pdf`;
+  return { filename, content, contentType: document.mimeType, watermarkId };
+}
+
+// ============================================
+// CAMPAIGNS (one document to a CSV list)
+// ============================================
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Split CSV text into rows of fields (quoted fields may hold commas, quotes and newlines)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Check a recipient list: valid addresses only, first occurrence of each kept
+ * @param {Array<{ email: string, name?: string, fields?: Object, line?: number }>} rows
+ * @returns {{ recipients: Array<{ email: string, name: string, fields: Object }>, errors: Array<{ line: number, message: string }> }}
+ */
+function validateRecipients(rows) {
+  const recipients = [];
+  const errors = [];
+  const seen = new Set();
+
+  rows.forEach((row, i) => {
+    const line = row.line || i + 1;
+    const email = String(row.email || '').trim();
+    if (!EMAIL_PATTERN.test(email)) {
+      errors.push({ line, message: `Invalid email "${email}"` });
+      return;
+    }
+    if (seen.has(email.toLowerCase())) {
+      errors.push({ line, message: `Duplicate email ${email}` });
+      return;
+    }
+    seen.add(email.toLowerCase());
+    recipients.push({ email, name: String(row.name || '').trim(), fields: row.fields || {} });
+  });
+
+  return { recipients, errors };
+}
+
+/**
+ * Parse a recipient list. The header row needs an "email" column; "name" is
+ * optional and any other column becomes a template merge field (e.g. {{company}}).
+ * @param {string} text - CSV contents
+ * @returns {{ recipients: Array<{ email: string, name: string }>, errors: Array<{ line: number, message: string }> }}
+ */
+function parseRecipientsCsv(text) {
+  const rows = parseCsvRows(String(text).replace(/^\uFEFF/, ''))
+    .map((fields, i) => ({ fields, line: i + 1 }))
+    .filter(row => row.fields.some(field => field.trim() !== ''));
+
+  if (!rows.length) {
+    return { recipients: [], errors: [{ line: 1, message: 'CSV is empty' }] };
+  }
+
+  const columns = rows[0].fields.map(h => h.trim());
+  const header = columns.map(h => h.toLowerCase());
+  const emailCol = header.indexOf('email');
+  const nameCol = header.indexOf('name');
+  if (emailCol === -1) {
+    return { recipients: [], errors: [{ line: 1, message: 'Header row must have an "email" column' }] };
+  }
+
+  return validateRecipients(rows.slice(1).map(({ fields, line }) => {
+    const mergeFields = {};
+    columns.forEach((column, i) => {
+      if (i !== emailCol && i !== nameCol && column) mergeFields[column] = (fields[i] || '').trim();
+    });
+    return {
+      email: fields[emailCol],
+      name: nameCol === -1 ? '' : fields[nameCol],
+      fields: mergeFields,
+      line
+    };
+  }));
+}
+
+// Checked once up front, rather than failing every email of a campaign
+function resolveDocumentName(documentId, documentName) {
+  if (!documentId) return documentName || 'confidential_report.pdf';
+
+  const document = db.prepare('SELECT name FROM documents WHERE id = ?').get(documentId);
+  if (!document) {
+    throw new Error(`Document ${documentId} not found. Upload it via POST /api/documents first.`);
+  }
+  return documentName || document.name;
+}
+
+/**
+ * Create the campaigns row that groups the emails of one bulk send
+ * @returns {Object} The saved campaign
+ */
+function createCampaign({ name, subject, documentId, documentName, templateName, totalRecipients, ratePerMinute }) {
+  const campaign = {
+    id: crypto.randomUUID(),
+    name: name || templateName || subject,
+    subject,
+    documentId: documentId || null,
+    documentName,
+    templateName: templateName || null,
+    status: 'sending',
+    totalRecipients,
+    sentCount: 0,
+    failedCount: 0,
+    ratePerMinute,
+    createdAt: new Date().toISOString()
+  };
+
+  db.prepare(`
+    INSERT INTO campaigns (id, name, subject, documentId, documentName, templateName, status,
+                           totalRecipients, ratePerMinute, createdAt)
+    VALUES (@id, @name, @subject, @documentId, @documentName, @templateName, @status,
+            @totalRecipients, @ratePerMinute, @createdAt)
+  `).run(campaign);
+
+  return campaign;
+}
+
+/**
+ * Send a campaign row's emails: every recipient gets their own recipientId
+ * and tracked link, through one transporter limited to ratePerMinute.
+ * @param {Object} campaign - From createCampaign()
+ * @param {Object} options
+ * @param {Array<{ email: string, name?: string }>} options.recipients
+ * @param {string} options.subject
+ * @param {string} [options.message]
+ * @param {string} [options.senderName]
+ * @param {string} [options.documentId] - Uploaded document (POST /api/documents)
+ * @param {string} [options.documentName]
+ * @param {string} [options.templateName] - Stored template; CSV columns fill its fields
+ * @param {boolean} [options.attachDocument] - Attach a watermarked copy per recipient
+ * @param {Function} [options.onProgress] - Called with the campaign after each email
+ * @returns {Promise<Object>} The finished campaign
+ */
+async function runCampaign(campaign, { recipients, subject, message, senderName, documentId, documentName, templateName, attachDocument, onProgress }) {
+  const transporter = createTransporter({ ratePerMinute: campaign.ratePerMinute });
+  const updateCounts = db.prepare(
+    'UPDATE campaigns SET sentCount = ?, failedCount = ? WHERE id = ?'
+  );
+
+  try {
+    for (const recipient of recipients) {
+      try {
+        await sendTrackedEmail({
+          recipientEmail: recipient.email,
+          recipientName: recipient.name || '',
+          subject,
+          message,
+          senderName,
+          documentId,
+          documentName,
+          templateName,
+          attachDocument,
+          fields: recipient.fields,
+          campaignId: campaign.id,
+          transporter,
+          verbose: false
+        });
+        campaign.sentCount++;
+      } catch (err) {
+        campaign.failedCount++;
+      }
+      updateCounts.run(campaign.sentCount, campaign.failedCount, campaign.id);
+      if (onProgress) onProgress(campaign);
+    }
+  } finally {
+    transporter.close();
+  }
+
+  campaign.status = campaign.failedCount === 0 ? 'completed'
+    : campaign.sentCount === 0 ? 'failed' : 'partial';
+  campaign.completedAt = new Date().toISOString();
+  db.prepare('UPDATE campaigns SET status = ?, completedAt = ? WHERE id = ?')
+    .run(campaign.status, campaign.completedAt, campaign.id);
+
+  console.log(`📬 Campaign "${campaign.name}" ${campaign.status}: ${campaign.sentCount} sent, ${campaign.failedCount} failed`);
+  return campaign;
+}
+
+/**
+ * Create a campaign and send it (see runCampaign for the options)
+ * @param {number} [options.ratePerMinute] - Defaults to SMTP_RATE_PER_MINUTE or 20
+ * @param {string} [options.name] - Defaults to the template name or subject
+ */
+async function sendCampaign(options) {
+  const documentName = resolveDocumentName(options.documentId, options.documentName);
+  const template = options.templateName ? loadTemplate(db, options.templateName) : null;
+  if (options.templateName && !template) {
+    throw new Error(`Template "${options.templateName}" not found.`);
+  }
+
+  const campaign = createCampaign({
+    ...options,
+    subject: options.subject || (template && template.subject),
+    documentName,
+    totalRecipients: options.recipients.length,
+    ratePerMinute: options.ratePerMinute || DEFAULT_CAMPAIGN_RATE
+  });
+  return runCampaign(campaign, { ...options, documentName });
+}
+
+// ============================================
+// VERIFICATION CODE EMAIL (viewer OTP gate)
+// ============================================
+
+async function sendVerificationCode({ recipientEmail, code, documentName }) {
+  const senderName = process.env.SENDER_NAME || 'Your Company';
+  const transporter = getSingleSendTransporter();
+
+  await transporter.sendMail({
+    from: { name: senderName, address: process.env.EMAIL_USER },
+    to: recipientEmail,
+    subject: `Your verification code: ${code}`,
+    text: `Your code to open "${documentName}" is ${code}.\n\nIt expires in 10 minutes. If you did not request it, ignore this email.`,
+    html: html`
+      <p>Your code to open <strong>${documentName}</strong> is:</p>
+      <p style="font-size:24px;font-weight:bold;letter-spacing:4px;">${code}</p>
+      <p style="color:#666;font-size:13px;">It expires in 10 minutes. If you did not request it, ignore this email.</p>
+    `.toString()
+  });
+
+  console.log(`🔑 Verification code sent to ${recipientEmail}`);
+}
+
 // ============================================
 // INTERACTIVE CLI
 // ============================================
@@ -231,7 +638,10 @@ async function interactiveSendEmail() {
     const recipientEmail = await question('📧 Recipient Email: ');
     const recipientName = await question('👤 Recipient Name (optional): ');
     const subject = await question('📋 Email Subject: ');
+    const documentId = await question('📎 Uploaded Document ID (optional): ');
     const documentName = await question('📄 Document Name (e.g., report.pdf): ');
+    const templateName = await question('🧩 Template Name (optional): ');
+    const attach = documentId.trim() ? await question('📎 Attach a watermarked copy of the PDF? (yes/no): ') : '';
     console.log('\n💬 Email Message (press Enter twice when done):');
     const message = await question('');
     const senderName = await question('✍️  Your Name/Company: ');
@@ -250,7 +660,10 @@ async function interactiveSendEmail() {
         subject,
         documentName,
         message,
-        senderName
+        senderName,
+        documentId: documentId.trim() || undefined,
+        templateName: templateName.trim() || undefined,
+        attachDocument: /^y(es)?$/i.test(attach.trim())
       });
     } else {
       console.log('\n❌ Email cancelled.\n');
@@ -262,6 +675,76 @@ async function interactiveSendEmail() {
   }
 }
 
+async function csvSendCampaign(csvPath) {
+  let recipients, errors;
+  try {
+    ({ recipients, errors } = parseRecipientsCsv(fs.readFileSync(csvPath, 'utf8')));
+  } catch (err) {
+    console.error(`\n❌ Cannot read ${csvPath}:`, err.message);
+    return;
+  }
+
+  errors.forEach(e => console.log(`⚠️  Line ${e.line}: ${e.message} (skipped)`));
+  if (!recipients.length) {
+    console.log('\n❌ No valid recipients in the CSV.\n');
+    return;
+  }
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const question = (prompt) => new Promise((resolve) => rl.question(prompt, resolve));
+
+  console.log('\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║           📬 SEND TRACKED CAMPAIGN - CSV MODE              ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+  console.log(`👥 ${recipients.length} recipient(s) loaded from ${csvPath}\n`);
+
+  try {
+    const name = await question('🏷️  Campaign Name (optional): ');
+    const subject = await question('📋 Email Subject: ');
+    const documentId = await question('📎 Uploaded Document ID (optional): ');
+    const documentName = await question('📄 Document Name (e.g., report.pdf): ');
+    const templateName = await question('🧩 Template Name (optional, CSV columns fill its fields): ');
+    const attach = documentId.trim() ? await question('📎 Attach a watermarked copy of the PDF? (yes/no): ') : '';
+    console.log('\n💬 Email Message (press Enter twice when done):');
+    const message = await question('');
+    const senderName = await question('✍️  Your Name/Company: ');
+    const rate = await question(`⏱️  Emails per minute (${DEFAULT_CAMPAIGN_RATE}): `);
+
+    console.log('\n🔍 Review:');
+    console.log(`  To: ${recipients.length} recipient(s), e.g. ${recipients.slice(0, 3).map(r => r.email).join(', ')}`);
+    console.log(`  Subject: ${subject}`);
+    console.log(`  Document: ${documentName || documentId}\n`);
+
+    const confirm = await question('Send campaign? (yes/no): ');
+
+    if (confirm.toLowerCase() === 'yes' || confirm.toLowerCase() === 'y') {
+      const campaign = await sendCampaign({
+        name: name.trim() || undefined,
+        recipients,
+        subject,
+        message,
+        senderName,
+        documentId: documentId.trim() || undefined,
+        documentName: documentName.trim() || undefined,
+        templateName: templateName.trim() || undefined,
+        attachDocument: /^y(es)?$/i.test(attach.trim()),
+        ratePerMinute: parseInt(rate) || undefined
+      });
+      console.log(`\n📊 Campaign stats: ${SERVER_URL}/api/campaigns/${campaign.id}\n`);
+    } else {
+      console.log('\n❌ Campaign cancelled.\n');
+    }
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+  } finally {
+    rl.close();
+  }
+}
+
 // ============================================
 // QUICK SEND EXAMPLES
 // ============================================
@@ -300,14 +783,19 @@ async function main() {
 
   const args = process.argv.slice(2);
 
+  const csvIndex = args.indexOf('--csv');
+
   if (args.includes('--quick') || args.includes('-q')) {
     await sendQuickExample();
-  } else if (args.includes('--help') || args.includes('-h')) {
+  } else if (csvIndex !== -1 && args[csvIndex + 1]) {
+    await csvSendCampaign(args[csvIndex + 1]);
+  } else if (args.includes('--help') || args.includes('-h') || csvIndex !== -1) {
     console.log(`
 Usage:
-  node send-email.js              Interactive mode
-  node send-email.js --quick      Send test email
-  node send-email.js --help       Show this help
+  node send-email.js                      Interactive mode
+  node send-email.js --quick              Send test email
+  node send-email.js --csv <file.csv>     Send a campaign (columns: email, name)
+  node send-email.js --help               Show this help
     `);
   } else {
     await interactiveSendEmail();
@@ -319,4 +807,15 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = { sendTrackedEmail, generateTrackedEmail };
+module.exports = {
+  sendTrackedEmail,
+  generateTrackedEmail,
+  sendVerificationCode,
+  parseRecipientsCsv,
+  validateRecipients,
+  createCampaign,
+  runCampaign,
+  sendCampaign,
+  resolveDocumentName,
+  DEFAULT_CAMPAIGN_RATE
+};
@@ -6,13 +6,43 @@ const geoip = require('geoip-lite');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
 require('dotenv').config();
 
 
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || './uploads');
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024;
 // DB init
 const { initDatabase, DB_PATH } = require('./init-db');
 const Database = require('better-sqlite3');
+const { PDFDocument } = require('pdf-lib');
+const { generateWatermarkId, watermarkPdf, extractWatermarkIds } = require('./pdf-watermarker');
+const { createAccessToken, verifyAccessToken, verifyLinkId } = require('./access-token');
+const {
+  sendTrackedEmail,
+  sendVerificationCode,
+  parseRecipientsCsv,
+  validateRecipients,
+  createCampaign,
+  runCampaign,
+  resolveDocumentName,
+  DEFAULT_CAMPAIGN_RATE
+} = require('./send-email');
+const { HEATMAP_BANDS, validateEvent, validateBatch } = require('./track-schemas');
+const { buildTracker } = require('./tracker-build');
+const { classifyPixelHit, isMachineHit, NON_OPEN_CLASSIFICATIONS } = require('./pixel-classifier');
+const { html, raw } = require('./html-template');
+const {
+  TEMPLATE_NAME,
+  SAMPLE_DATA,
+  extractFields,
+  renderTemplate,
+  validateTemplate,
+  parseTemplateRow,
+  loadTemplate
+} = require('./email-templates');
 
 // Initialize DB (safe to call multiple times)
 initDatabase();
@@ -26,11 +56,79 @@ const wss = new WebSocket.Server({ server });
 const clients = new Set();
 
 // Middleware
-app.use(cors());
+// Tracking, viewer and SDK endpoints are called from wherever documents are
+// opened; the rest is the dashboard's API and only answers the origins in
+// ADMIN_ORIGINS (comma-separated; the dashboard itself is same-origin)
+const PUBLIC_CORS_PATHS = ['/api/track', '/documents/', '/sdk/'];
+const ADMIN_ORIGINS = (process.env.ADMIN_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors((req, callback) => {
+  const isPublic = PUBLIC_CORS_PATHS.some(prefix => req.path.startsWith(prefix));
+  callback(null, { origin: isPublic ? '*' : (ADMIN_ORIGINS.length ? ADMIN_ORIGINS : false) });
+}));
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
 app.use(express.static('public'));
 
+// ============================================
+// ADMIN AUTH
+// ============================================
+
+// Endpoints that change documents, access or outgoing mail, or that open
+// incidents, need "Authorization: Bearer <ADMIN_TOKEN>". Without ADMIN_TOKEN
+// they are disabled.
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ success: false, error: 'Admin API is disabled (ADMIN_TOKEN is not set)' });
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  // Hash both sides so timingSafeEqual gets equal-length buffers
+  const given = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  if (!match || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ success: false, error: 'Admin authentication required' });
+  }
+  next();
+}
+
+// Bundled PDF.js build used by the document viewer
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+app.use('/vendor/pdfjs/build', express.static(path.join(PDFJS_DIR, 'build')));
+app.use('/vendor/pdfjs/web', express.static(path.join(PDFJS_DIR, 'web')));
+
+// Uploaded PDFs are written straight into UPLOAD_DIR as <documentId>.pdf
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      req.documentId = crypto.randomUUID();
+      cb(null, `${req.documentId}.pdf`);
+    }
+  }),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype !== 'application/pdf') {
+      return cb(new Error('Only PDF files can be uploaded'));
+    }
+    cb(null, true);
+  }
+});
+
+// Leaked copies submitted for attribution are only inspected, never stored
+const forensicUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype !== 'application/pdf' && !file.mimetype.startsWith('image/')) {
+      return cb(new Error('Only PDF files or page images can be analyzed'));
+    }
+    cb(null, true);
+  }
+});
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -79,11 +177,13 @@ const insertEventStmt = sqlDb.prepare(`
   INSERT INTO events (
     id, type, documentId, recipientId, action, pageNumber, timeSpent,
     timestamp, ipAddress, location, device, userAgent, risk,
-    watermarkId, forwardedTo, unauthorized
+    watermarkId, forwardedTo, unauthorized, sessionId, clientEventId, deviceFingerprint,
+    classification, classificationReason
   )
   VALUES (@id, @type, @documentId, @recipientId, @action, @pageNumber, @timeSpent,
           @timestamp, @ipAddress, @location, @device, @userAgent, @risk,
-          @watermarkId, @forwardedTo, @unauthorized)
+          @watermarkId, @forwardedTo, @unauthorized, @sessionId, @clientEventId,
+          @deviceFingerprint, @classification, @classificationReason)
 `);
 
 function saveEvent(event) {
@@ -104,13 +204,85 @@ function saveEvent(event) {
     risk: event.risk || null,
     watermarkId: event.watermarkId || null,
     forwardedTo: event.forwardedTo || null,
-    unauthorized: event.unauthorized ? 1 : 0
+    unauthorized: event.unauthorized ? 1 : 0,
+    sessionId: typeof event.sessionId === 'string' ? event.sessionId.slice(0, 64) : null,
+    clientEventId: typeof event.clientEventId === 'string' ? event.clientEventId.slice(0, 64) : null,
+    deviceFingerprint: event.deviceFingerprint || null,
+    classification: event.classification || null,
+    classificationReason: event.classificationReason || null
   };
 
   insertEventStmt.run(record);
+
+  if (record.sessionId) {
+    saveSession(record, event);
+  }
+
   return record;
 }
 
+// Start or extend the viewer session an event belongs to. A session id is
+// only ever extended by the recipient that started it.
+const upsertSessionStmt = sqlDb.prepare(`
+  INSERT INTO sessions (
+    id, documentId, recipientId, startedAt, endedAt, ipAddress, location,
+    device, userAgent, pagePath, activeTime, eventCount
+  )
+  VALUES (@id, @documentId, @recipientId, @timestamp, @timestamp, @ipAddress, @location,
+          @device, @userAgent, @pagePath, @activeTime, 1)
+  ON CONFLICT(id) DO UPDATE SET
+    endedAt = MAX(sessions.endedAt, excluded.endedAt),
+    activeTime = MAX(sessions.activeTime, excluded.activeTime),
+    pagePath = COALESCE(sessions.pagePath, excluded.pagePath),
+    eventCount = sessions.eventCount + 1
+  WHERE sessions.documentId = excluded.documentId
+    AND sessions.recipientId = excluded.recipientId
+`);
+
+function saveSession(record, { pagePath, activeTime }) {
+  upsertSessionStmt.run({
+    id: record.sessionId,
+    documentId: record.documentId,
+    recipientId: record.recipientId,
+    timestamp: record.timestamp,
+    ipAddress: record.ipAddress,
+    location: record.location,
+    device: record.device,
+    userAgent: record.userAgent,
+    pagePath: typeof pagePath === 'string' ? pagePath.slice(0, 512) : null,
+    // Client-reported foreground time for the whole session, in ms
+    activeTime: Number.isFinite(activeTime) && activeTime > 0 ? Math.round(activeTime) : 0
+  });
+}
+
+// Fields the client tracker sends with every payload: its own event id
+// (used to drop retried duplicates) and the viewer session
+function clientFields(payload = {}) {
+  const { id, sessionId, pagePath, activeTime } = payload;
+  return { clientEventId: id, sessionId, pagePath, activeTime };
+}
+
+const findClientEventStmt = sqlDb.prepare(
+  'SELECT id FROM events WHERE recipientId = ? AND clientEventId = ?'
+);
+
+function findClientEvent(recipientId, clientEventId) {
+  if (typeof clientEventId !== 'string') return null;
+  return findClientEventStmt.get(recipientId, clientEventId.slice(0, 64));
+}
+
+// Queued events arrive late, so keep the client's timestamp when it is plausible
+const MAX_CLIENT_EVENT_AGE = 24 * 60 * 60 * 1000;
+
+function eventTimestamp(payload = {}) {
+  const ts = Date.parse(payload.timestamp);
+  const now = Date.now();
+  if (Number.isFinite(ts) && ts <= now + 60000 && ts >= now - MAX_CLIENT_EVENT_AGE) {
+    return new Date(ts).toISOString();
+  }
+  return new Date(now).toISOString();
+}
+
 // Insert alert
 const insertAlertStmt = sqlDb.prepare(`
   INSERT INTO alerts (
@@ -138,10 +310,10 @@ function saveAlert(alert) {
 const insertIncidentStmt = sqlDb.prepare(`
   INSERT INTO incidents (
     id, type, severity, documentId, fromRecipient, toRecipient,
-    status, timestamp
+    status, timestamp, watermarkId, evidenceHash
   )
   VALUES (@id, @type, @severity, @documentId, @fromRecipient, @toRecipient,
-          @status, @timestamp)
+          @status, @timestamp, @watermarkId, @evidenceHash)
 `);
 
 function saveIncident(incident) {
@@ -153,12 +325,365 @@ function saveIncident(incident) {
     fromRecipient: incident.fromRecipient || null,
     toRecipient: incident.toRecipient || null,
     status: incident.status || 'open',
-    timestamp: incident.timestamp || new Date().toISOString()
+    timestamp: incident.timestamp || new Date().toISOString(),
+    watermarkId: incident.watermarkId || null,
+    evidenceHash: incident.evidenceHash || null
   };
   insertIncidentStmt.run(record);
   return record;
 }
 
+// Insert uploaded document
+const insertDocumentStmt = sqlDb.prepare(`
+  INSERT INTO documents (id, name, fileName, mimeType, size, sha256, pageCount, uploadedAt)
+  VALUES (@id, @name, @fileName, @mimeType, @size, @sha256, @pageCount, @uploadedAt)
+`);
+
+function saveDocument(doc) {
+  const record = {
+    id: doc.id || crypto.randomUUID(),
+    name: doc.name,
+    fileName: doc.fileName,
+    mimeType: doc.mimeType || 'application/pdf',
+    size: doc.size,
+    sha256: doc.sha256,
+    pageCount: doc.pageCount ?? null,
+    uploadedAt: doc.uploadedAt || new Date().toISOString()
+  };
+  insertDocumentStmt.run(record);
+  return record;
+}
+
+function getDocument(documentId) {
+  return sqlDb.prepare('SELECT * FROM documents WHERE id = ?').get(documentId);
+}
+
+// Insert watermark (one per stamped copy)
+const insertWatermarkStmt = sqlDb.prepare(`
+  INSERT INTO watermarks (id, documentId, recipientId, recipientEmail, ipAddress, userAgent, createdAt)
+  VALUES (@id, @documentId, @recipientId, @recipientEmail, @ipAddress, @userAgent, @createdAt)
+`);
+
+function saveWatermark(watermark) {
+  const record = {
+    id: watermark.id || generateWatermarkId(),
+    documentId: watermark.documentId,
+    recipientId: watermark.recipientId,
+    recipientEmail: watermark.recipientEmail || null,
+    ipAddress: watermark.ipAddress || null,
+    userAgent: watermark.userAgent || null,
+    createdAt: watermark.createdAt || new Date().toISOString()
+  };
+  insertWatermarkStmt.run(record);
+  return record;
+}
+
+// Issue a watermark for a recipient about to receive a copy of the document
+function createWatermark(documentId, recipientId, req) {
+  const email = sqlDb.prepare(
+    'SELECT recipientEmail FROM emails WHERE documentId = ? AND recipientId = ?'
+  ).get(documentId, recipientId);
+
+  return saveWatermark({
+    documentId,
+    recipientId,
+    recipientEmail: email ? email.recipientEmail : null,
+    ipAddress: getClientIP(req),
+    userAgent: req.headers['user-agent']
+  });
+}
+
+const DEFAULT_OVERLAY_OPACITY = 0.15;
+
+// Access policy for a document (defaults to unrestricted)
+function getPolicy(documentId) {
+  const row = sqlDb.prepare('SELECT * FROM policies WHERE documentId = ?').get(documentId);
+
+  return {
+    documentId,
+    expiresAt: row ? row.expiresAt : null,
+    maxOpens: row ? row.maxOpens : null,
+    maxDevices: row ? row.maxDevices : null,
+    allowDownload: row ? Boolean(row.allowDownload) : true,
+    allowPrint: row ? Boolean(row.allowPrint) : true,
+    requireOtp: row ? Boolean(row.requireOtp) : false,
+    overlayEnabled: row ? Boolean(row.overlayEnabled) : true,
+    overlayOpacity: row ? row.overlayOpacity : DEFAULT_OVERLAY_OPACITY
+  };
+}
+
+const upsertPolicyStmt = sqlDb.prepare(`
+  INSERT INTO policies (
+    documentId, expiresAt, maxOpens, maxDevices, allowDownload, allowPrint, requireOtp,
+    overlayEnabled, overlayOpacity, updatedAt
+  )
+  VALUES (@documentId, @expiresAt, @maxOpens, @maxDevices, @allowDownload, @allowPrint, @requireOtp,
+          @overlayEnabled, @overlayOpacity, @updatedAt)
+  ON CONFLICT(documentId) DO UPDATE SET
+    expiresAt = excluded.expiresAt,
+    maxOpens = excluded.maxOpens,
+    maxDevices = excluded.maxDevices,
+    allowDownload = excluded.allowDownload,
+    allowPrint = excluded.allowPrint,
+    requireOtp = excluded.requireOtp,
+    overlayEnabled = excluded.overlayEnabled,
+    overlayOpacity = excluded.overlayOpacity,
+    updatedAt = excluded.updatedAt
+`);
+
+function savePolicy(policy) {
+  upsertPolicyStmt.run({
+    documentId: policy.documentId,
+    expiresAt: policy.expiresAt || null,
+    maxOpens: policy.maxOpens ?? null,
+    maxDevices: policy.maxDevices ?? null,
+    allowDownload: policy.allowDownload === false ? 0 : 1,
+    allowPrint: policy.allowPrint === false ? 0 : 1,
+    requireOtp: policy.requireOtp ? 1 : 0,
+    overlayEnabled: policy.overlayEnabled === false ? 0 : 1,
+    overlayOpacity: policy.overlayOpacity ?? DEFAULT_OVERLAY_OPACITY,
+    updatedAt: new Date().toISOString()
+  });
+  return getPolicy(policy.documentId);
+}
+
+// Returns the reason a recipient may not open the document, or null
+function checkOpenPolicy(policy, recipientId) {
+  if (policy.expiresAt && Date.now() > new Date(policy.expiresAt).getTime()) {
+    return 'policy_expired';
+  }
+
+  if (policy.maxOpens) {
+    // Copies served count even when the tracker script never reports the
+    // open; client-reported opens cover links opened before serving was recorded
+    const counts = sqlDb.prepare(`
+      SELECT
+        COALESCE(SUM(CASE WHEN type = 'document_served' THEN 1 ELSE 0 END), 0) AS served,
+        COALESCE(SUM(CASE WHEN type = 'document_opened' THEN 1 ELSE 0 END), 0) AS opened
+      FROM events
+      WHERE documentId = ? AND recipientId = ? AND type IN ('document_served', 'document_opened')
+    `).get(policy.documentId, recipientId);
+
+    if (Math.max(counts.served, counts.opened) >= policy.maxOpens) return 'max_opens_exceeded';
+  }
+
+  return null;
+}
+
+// Record an open on the server when a copy is handed out ('viewer' page or
+// direct 'file' request), whatever the client reports afterwards
+function recordServedOpen(req, { documentId, recipientId, watermarkId, via }) {
+  const ip = getClientIP(req);
+
+  return saveEvent({
+    id: crypto.randomUUID(),
+    type: 'document_served',
+    documentId,
+    recipientId,
+    watermarkId,
+    action: via,
+    timestamp: new Date().toISOString(),
+    ipAddress: ip,
+    location: getLocationFromIP(ip),
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent']
+  });
+}
+
+// File requests this soon after the viewer page belong to that page's open
+const VIEWER_FILE_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+// The watermark a viewer page issued (and counted an open for), if still fresh
+function findViewerWatermark(watermarkId, documentId, recipientId) {
+  if (typeof watermarkId !== 'string') return null;
+
+  const watermark = sqlDb.prepare(`
+    SELECT w.* FROM watermarks w
+    JOIN events ev
+      ON ev.watermarkId = w.id AND ev.type = 'document_served' AND ev.action = 'viewer'
+    WHERE w.id = ? AND w.documentId = ? AND w.recipientId = ?
+  `).get(watermarkId, documentId, recipientId);
+
+  if (!watermark || Date.now() - new Date(watermark.createdAt).getTime() > VIEWER_FILE_WINDOW_MS) {
+    return null;
+  }
+  return watermark;
+}
+
+const POLICY_VIOLATION_MESSAGES = {
+  policy_expired: 'Access attempted after the document expired',
+  max_opens_exceeded: 'Access attempted after the maximum number of opens',
+  download_blocked: 'Download attempted but not allowed by policy',
+  print_blocked: 'Print attempted but not allowed by policy'
+};
+
+// Record a blocked action as an event + alert and notify the dashboard
+function recordPolicyViolation(req, { documentId, recipientId, violation }, payload = req.body) {
+  const ip = getClientIP(req);
+
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    ...clientFields(payload),
+    type: 'policy_violation',
+    documentId,
+    recipientId,
+    action: violation,
+    timestamp: new Date().toISOString(),
+    ipAddress: ip,
+    location: getLocationFromIP(ip),
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent'],
+    risk: 'high',
+    unauthorized: true
+  });
+
+  const alert = saveAlert({
+    id: crypto.randomUUID(),
+    type: 'POLICY_VIOLATION',
+    severity: 'high',
+    message: `⛔ ${POLICY_VIOLATION_MESSAGES[violation]} (${event.location})`,
+    eventId: event.id,
+    documentId,
+    recipientId,
+    requiresAction: 0
+  });
+
+  broadcastToAdmins({ type: 'POLICY_VIOLATION', event, alert });
+
+  return { event, alert };
+}
+
+function getRevocation(documentId, recipientId) {
+  return sqlDb.prepare(
+    'SELECT * FROM revocations WHERE documentId = ? AND recipientId = ?'
+  ).get(documentId, recipientId);
+}
+
+// Log an attempt by a revoked recipient to reach the document
+function recordRevokedAccess(req, { documentId, recipientId, action }, payload = req.body) {
+  const ip = getClientIP(req);
+
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    ...clientFields(payload),
+    type: 'revoked_access_attempt',
+    documentId,
+    recipientId,
+    action,
+    timestamp: new Date().toISOString(),
+    ipAddress: ip,
+    location: getLocationFromIP(ip),
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent'],
+    risk: 'high',
+    unauthorized: true
+  });
+
+  const alert = saveAlert({
+    id: crypto.randomUUID(),
+    type: 'REVOKED_ACCESS',
+    severity: 'high',
+    message: `🚫 Revoked recipient tried to access the document from ${event.location}`,
+    eventId: event.id,
+    documentId,
+    recipientId,
+    requiresAction: 0
+  });
+
+  broadcastToAdmins({ type: 'REVOKED_ACCESS_ATTEMPT', event, alert });
+
+  return { event, alert };
+}
+
+// Devices a recipient link was opened on (client fingerprint per document open)
+const upsertDeviceStmt = sqlDb.prepare(`
+  INSERT INTO devices (
+    documentId, recipientId, fingerprint, device, ipAddress, location, firstSeen, lastSeen, opens
+  )
+  VALUES (@documentId, @recipientId, @fingerprint, @device, @ipAddress, @location,
+          @timestamp, @timestamp, 1)
+  ON CONFLICT(documentId, recipientId, fingerprint) DO UPDATE SET
+    ipAddress = excluded.ipAddress,
+    location = excluded.location,
+    lastSeen = excluded.lastSeen,
+    opens = devices.opens + 1
+`);
+
+function saveDevice(event) {
+  upsertDeviceStmt.run({
+    documentId: event.documentId,
+    recipientId: event.recipientId,
+    fingerprint: event.deviceFingerprint,
+    device: event.device,
+    ipAddress: event.ipAddress,
+    location: event.location,
+    timestamp: event.timestamp
+  });
+}
+
+function getDevices(documentId, recipientId) {
+  return sqlDb.prepare(
+    'SELECT * FROM devices WHERE documentId = ? AND recipientId = ? ORDER BY firstSeen'
+  ).all(documentId, recipientId);
+}
+
+// Event types reported by the viewer's capture detectors
+const CAPTURE_EVENT_TYPES = new Set([
+  'screenshot_attempt', 'devtools_opened', 'copy_then_blur', 'select_all', 'content_dragged'
+]);
+const CAPTURE_BURST_WINDOW = 5 * 60 * 1000;
+const CAPTURE_BURST_THRESHOLD = 3;
+
+// Custom event types registered by integrations (event_types table)
+const EVENT_RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const EVENT_TYPE_NAME = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Types the server records itself; custom events may not impersonate them
+const BUILT_IN_EVENT_TYPES = new Set([
+  'pixel_beacon', 'document_opened', 'page_viewed', 'document_downloaded',
+  'document_printed', 'document_forwarded', 'copy_attempt', 'watermark_tampered',
+  'policy_violation', 'revoked_access_attempt', 'otp_failed', 'otp_verified',
+  'page_regions', 'link_clicked', 'document_served', ...CAPTURE_EVENT_TYPES
+]);
+
+function getEventType(name) {
+  if (typeof name !== 'string') return null;
+  const row = sqlDb.prepare('SELECT * FROM event_types WHERE name = ?').get(name);
+  if (!row) return null;
+
+  return { ...row, raisesAlert: Boolean(row.raisesAlert) };
+}
+
+const upsertEventTypeStmt = sqlDb.prepare(`
+  INSERT INTO event_types (name, description, risk, raisesAlert, alertMessage, updatedAt)
+  VALUES (@name, @description, @risk, @raisesAlert, @alertMessage, @updatedAt)
+  ON CONFLICT(name) DO UPDATE SET
+    description = excluded.description,
+    risk = excluded.risk,
+    raisesAlert = excluded.raisesAlert,
+    alertMessage = excluded.alertMessage,
+    updatedAt = excluded.updatedAt
+`);
+
+function saveEventType(eventType) {
+  upsertEventTypeStmt.run({
+    name: eventType.name,
+    description: eventType.description || null,
+    risk: eventType.risk,
+    raisesAlert: eventType.raisesAlert ? 1 : 0,
+    alertMessage: eventType.alertMessage || null,
+    updatedAt: new Date().toISOString()
+  });
+  return getEventType(eventType.name);
+}
+
+// Alert messages may reference {recipientId}, {documentId}, {location} and {action}
+function formatAlertMessage(eventType, event) {
+  const template = eventType.alertMessage || `Event ${eventType.name} recorded from {location}`;
+  return template.replace(/\{(recipientId|documentId|location|action)\}/g,
+    (match, field) => event[field] || 'unknown');
+}
+
 function checkForAnomalies(event, recipientId) {
   const anomalies = [];
 
@@ -166,8 +691,10 @@ function checkForAnomalies(event, recipientId) {
     'SELECT * FROM events WHERE recipientId = ?'
   ).all(recipientId);
 
-  // Check 1: Unusual location
-  const locations = [...new Set(recipientEvents.map(e => e.location).filter(Boolean))];
+  // Check 1: Unusual location (image proxies and scanners report data centers)
+  const locations = [...new Set(
+    recipientEvents.filter(e => !isMachineHit(e)).map(e => e.location).filter(Boolean)
+  )];
   if (locations.length > 3 && event.location && !locations.includes(event.location)) {
     anomalies.push({
       type: 'UNUSUAL_LOCATION',
@@ -201,22 +728,196 @@ function checkForAnomalies(event, recipientId) {
     });
   }
 
+  // Check 4: Repeated capture attempts (screenshots, devtools, copy + switch away...)
+  if (CAPTURE_EVENT_TYPES.has(event.type)) {
+    const windowStart = Date.now() - CAPTURE_BURST_WINDOW;
+    const attempts = recipientEvents.filter(e =>
+      CAPTURE_EVENT_TYPES.has(e.type) &&
+      e.documentId === event.documentId &&
+      new Date(e.timestamp).getTime() >= windowStart
+    );
+
+    if (attempts.length >= CAPTURE_BURST_THRESHOLD) {
+      const anomaly = {
+        type: 'CAPTURE_BURST',
+        severity: 'high',
+        message: `${attempts.length} capture attempts in ${CAPTURE_BURST_WINDOW / 60000} minutes - possible leak in progress`
+      };
+      anomalies.push(anomaly);
+      escalateCaptureBurst(anomaly, event, recipientId, windowStart);
+    }
+  }
+
+  // Check 5: Link opened on more distinct devices than the policy allows
+  if (event.type === 'document_opened' && event.deviceFingerprint) {
+    const { maxDevices } = getPolicy(event.documentId);
+    const devices = getDevices(event.documentId, recipientId);
+    const current = devices.find(d => d.fingerprint === event.deviceFingerprint);
+
+    if (maxDevices && devices.length > maxDevices && current && current.opens === 1) {
+      const anomaly = {
+        type: 'NEW_DEVICE',
+        severity: 'high',
+        message: `Link opened on device #${devices.length} (${event.device}, ${event.location}) - policy allows ${maxDevices}`
+      };
+      anomalies.push(anomaly);
+
+      const alert = saveAlert({
+        id: crypto.randomUUID(),
+        type: 'NEW_DEVICE',
+        severity: anomaly.severity,
+        message: `📱 ${anomaly.message}`,
+        eventId: event.id,
+        documentId: event.documentId,
+        recipientId,
+        requiresAction: 1
+      });
+      anomaly.alertId = alert.id;
+    }
+  }
+
   if (anomalies.length > 0) {
     broadcastToAdmins({ type: 'ANOMALY_DETECTED', anomalies, event });
   }
 }
 
+// A capture burst becomes a persistent alert (at most one per burst window)
+function escalateCaptureBurst(anomaly, event, recipientId, windowStart) {
+  const recent = sqlDb.prepare(`
+    SELECT id FROM alerts
+    WHERE type = 'CAPTURE_BURST' AND documentId = ? AND recipientId = ? AND createdAt >= ?
+  `).get(event.documentId, recipientId, new Date(windowStart).toISOString().replace('T', ' ').slice(0, 19));
+  if (recent) return;
+
+  const alert = saveAlert({
+    id: crypto.randomUUID(),
+    type: 'CAPTURE_BURST',
+    severity: anomaly.severity,
+    message: `📸 ${anomaly.message}`,
+    eventId: event.id,
+    documentId: event.documentId,
+    recipientId,
+    requiresAction: 1
+  });
+
+  broadcastToAdmins({ type: 'CAPTURE_BURST', event, alert, sound: true });
+}
+
+// Rejected tracking payloads since startup (reported by /api/health).
+// A spike for one origin usually means a broken or outdated embed.
+const rejectedPayloads = { total: 0, byReason: {}, byRoute: {}, byOrigin: {} };
+const MAX_REJECTION_KEYS = 100;
+
+function countKey(counts, key) {
+  if (!(key in counts) && Object.keys(counts).length >= MAX_REJECTION_KEYS) key = 'other';
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function countRejectedPayload(req, reason) {
+  let origin = 'unknown';
+  try {
+    origin = new URL(req.get('origin') || req.get('referer')).origin;
+  } catch (e) {
+    // no (valid) Origin or Referer header
+  }
+
+  rejectedPayloads.total++;
+  countKey(rejectedPayloads.byReason, reason);
+  countKey(rejectedPayloads.byRoute, req.baseUrl + req.path);
+  countKey(rejectedPayloads.byOrigin, origin);
+}
+
+const REJECTION_MESSAGES = {
+  invalid_token: 'Invalid access token',
+  malformed_json: 'Request body is not valid JSON',
+  payload_too_large: 'Request body is too large',
+  validation_failed: 'Invalid tracking payload',
+  unknown_event_type: 'Unknown event type'
+};
+
+// Every tracking rejection answers with the same shape:
+// { success: false, error, reason, details: [{ field, message }] }
+function rejectTrackingPayload(req, res, status, reason, details = []) {
+  countRejectedPayload(req, reason);
+  console.warn(`⚠️  Rejected tracking request to ${req.baseUrl + req.path}: ${reason}`);
+  res.status(status).json({ success: false, error: REJECTION_MESSAGES[reason], reason, details });
+}
+
+// navigator.sendBeacon posts strings as text/plain, which bodyParser.json skips
+function parseBeaconBody(req, res, next) {
+  if (typeof req.body !== 'string') return next();
+
+  if (req.body.trim() === '') {
+    req.body = {};
+    return next();
+  }
+
+  try {
+    req.body = JSON.parse(req.body);
+    next();
+  } catch (e) {
+    rejectTrackingPayload(req, res, 400, 'malformed_json', [{ field: '(body)', message: e.message }]);
+  }
+}
+
+// Every /api/track/* request carries the signed access token from the email
+// link. The recipient is taken from the token, never from the payload.
+function verifyTrackingToken(req, res, next) {
+  const token = req.query.token || (req.body && req.body.token);
+  const result = verifyAccessToken(token);
+
+  // Signature is good; expired tokens are still accepted but flagged
+  if (result.payload) {
+    req.access = {
+      documentId: result.payload.documentId,
+      recipientId: result.payload.recipientId,
+      expired: result.reason === 'expired'
+    };
+    return next();
+  }
+
+  // The pixel must always answer with an image, so it records the hit as unverified
+  if (req.method === 'GET') {
+    req.access = null;
+    return next();
+  }
+
+  rejectTrackingPayload(req, res, 401, 'invalid_token', [{ field: 'token', message: result.reason }]);
+}
+
 // ============================================
 // TRACKING ENDPOINTS
 // ============================================
 
+app.use(
+  '/api/track',
+  bodyParser.text({ type: 'text/plain', limit: '1mb' }),
+  parseBeaconBody,
+  verifyTrackingToken
+);
+
 // Tracking pixel endpoint
 app.get('/api/track/pixel/:documentId/:recipientId', (req, res) => {
   const { documentId, recipientId } = req.params;
   const { action, ts } = req.query;
 
+  // Hits without a valid token for this exact recipient are kept but flagged
+  const verified = Boolean(req.access) &&
+    req.access.documentId === documentId &&
+    req.access.recipientId === recipientId;
+
   const ip = getClientIP(req);
   const location = getLocationFromIP(ip);
+  const userAgent = req.headers['user-agent'];
+
+  // ts is stamped into the pixel URL when the email is generated, so it
+  // stands in for sentAt when the email was not logged in the emails table
+  const email = sqlDb.prepare(
+    'SELECT sentAt FROM emails WHERE documentId = ? AND recipientId = ?'
+  ).get(documentId, recipientId);
+  const sentAt = email ? email.sentAt : (parseInt(ts) ? new Date(parseInt(ts)).toISOString() : null);
+  const now = new Date();
+  const { classification, reason } = classifyPixelHit({ userAgent, ipAddress: ip, sentAt, timestamp: now });
 
   const event = saveEvent({
     id: crypto.randomUUID(),
@@ -224,13 +925,20 @@ app.get('/api/track/pixel/:documentId/:recipientId', (req, res) => {
     documentId,
     recipientId,
     action: action || 'viewed',
-    timestamp: new Date(parseInt(ts) || Date.now()).toISOString(),
+    timestamp: now.toISOString(),
     ipAddress: ip,
     location,
-    device: parseBrowserInfo(req.headers['user-agent']),
-    userAgent: req.headers['user-agent']
+    device: parseBrowserInfo(userAgent),
+    userAgent,
+    unauthorized: !verified || req.access.expired,
+    classification,
+    classificationReason: reason
   });
 
+  if (classification !== 'human') {
+    console.log(`🤖 Pixel hit classified as ${classification} (${reason}) for ${recipientId}`);
+  }
+
   broadcastToAdmins({ type: 'TRACKING_EVENT', event });
 
   // Return 1x1 pixel
@@ -248,77 +956,170 @@ app.get('/api/track/pixel/:documentId/:recipientId', (req, res) => {
   res.end(pixel);
 });
 
-// Document open endpoint
-app.post('/api/track/document-open', (req, res) => {
-  const { documentId, recipientId, watermarkId } = req.body;
+// Click-tracked links from email bodies (EmailTracker.rewriteLinks). The
+// signed link id carries the recipient and target, so no token is needed.
+app.get('/api/track/click/:linkId', (req, res) => {
+  const result = verifyLinkId(req.params.linkId);
+  if (!result.valid) {
+    return res.status(404).json({ success: false, error: 'Unknown or invalid link' });
+  }
+
+  const { documentId, recipientId, url } = result.payload;
+  const ip = getClientIP(req);
+  const userAgent = req.headers['user-agent'];
+
+  // Mail security gateways follow every link on delivery, like they fetch pixels
+  const email = sqlDb.prepare(
+    'SELECT sentAt FROM emails WHERE documentId = ? AND recipientId = ?'
+  ).get(documentId, recipientId);
+  const now = new Date();
+  const { classification, reason } = classifyPixelHit({
+    userAgent,
+    ipAddress: ip,
+    sentAt: email ? email.sentAt : null,
+    timestamp: now
+  });
+
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    type: 'link_clicked',
+    documentId,
+    recipientId,
+    action: url,
+    timestamp: now.toISOString(),
+    ipAddress: ip,
+    location: getLocationFromIP(ip),
+    device: parseBrowserInfo(userAgent),
+    userAgent,
+    classification,
+    classificationReason: reason
+  });
+
+  console.log(`🔗 Link clicked by ${recipientId}${classification !== 'human' ? ` (${classification})` : ''}: ${url}`);
+  broadcastToAdmins({ type: 'TRACKING_EVENT', event });
+
+  res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.redirect(302, url);
+});
+
+// Access status, polled by open viewers so they close once access is revoked
+app.get('/api/track/access', (req, res) => {
+  if (!req.access) {
+    return res.status(401).json({ success: false, allowed: false, reason: 'invalid_token' });
+  }
+
+  const { documentId, recipientId, expired } = req.access;
+
+  if (getRevocation(documentId, recipientId)) {
+    return res.json({ success: true, allowed: false, reason: 'revoked' });
+  }
+  if (expired || checkOpenPolicy(getPolicy(documentId), recipientId) === 'policy_expired') {
+    return res.json({ success: true, allowed: false, reason: 'expired' });
+  }
+
+  res.json({ success: true, allowed: true });
+});
+
+// Client tracker events. Each handler takes the request (identity, IP and
+// user agent) and one event payload, so the single-event routes and
+// /api/track/batch share the same logic.
+
+// Document open
+function trackDocumentOpen(req, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { watermarkId, deviceFingerprint } = data;
 
   const ip = getClientIP(req);
   const location = getLocationFromIP(ip);
 
   const event = saveEvent({
     id: crypto.randomUUID(),
+    ...clientFields(data),
     type: 'document_opened',
     documentId,
     recipientId,
     watermarkId,
-    timestamp: new Date().toISOString(),
+    deviceFingerprint,
+    timestamp: eventTimestamp(data),
     ipAddress: ip,
     location,
     device: parseBrowserInfo(req.headers['user-agent']),
     userAgent: req.headers['user-agent'],
-    risk: 'low'
+    risk: 'low',
+    unauthorized: expired
   });
 
+  if (deviceFingerprint) {
+    saveDevice(event);
+  }
+
   broadcastToAdmins({ type: 'DOCUMENT_OPENED', event });
   checkForAnomalies(event, recipientId);
 
-  res.json({ success: true, eventId: event.id });
-});
+  return { success: true, eventId: event.id };
+}
 
-// Page view endpoint
-app.post('/api/track/page-view', (req, res) => {
-  const { documentId, recipientId, pageNumber, timeSpent } = req.body;
+// Page view
+function trackPageView(req, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { pageNumber, timeSpent, watermarkId } = data;
 
   const ip = getClientIP(req);
   const location = getLocationFromIP(ip);
 
   const event = saveEvent({
     id: crypto.randomUUID(),
+    ...clientFields(data),
     type: 'page_viewed',
     documentId,
     recipientId,
+    watermarkId,
     pageNumber,
     timeSpent,
-    timestamp: new Date().toISOString(),
+    timestamp: eventTimestamp(data),
     ipAddress: ip,
     location,
     device: parseBrowserInfo(req.headers['user-agent']),
-    userAgent: req.headers['user-agent']
+    userAgent: req.headers['user-agent'],
+    unauthorized: expired
   });
 
   broadcastToAdmins({ type: 'PAGE_VIEWED', event });
 
-  res.json({ success: true });
-});
+  return { success: true };
+}
 
-// Download endpoint (HIGH RISK)
-app.post('/api/track/download', (req, res) => {
-  const { documentId, recipientId } = req.body;
+// Download (HIGH RISK)
+function trackDownload(req, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { watermarkId } = data;
+
+  if (!getPolicy(documentId).allowDownload) {
+    recordPolicyViolation(req, { documentId, recipientId, violation: 'download_blocked' }, data);
+    return {
+      success: false,
+      blocked: true,
+      error: 'Download is not allowed for this document'
+    };
+  }
 
   const ip = getClientIP(req);
   const location = getLocationFromIP(ip);
 
   const event = saveEvent({
     id: crypto.randomUUID(),
+    ...clientFields(data),
     type: 'document_downloaded',
     documentId,
     recipientId,
-    timestamp: new Date().toISOString(),
+    watermarkId,
+    timestamp: eventTimestamp(data),
     ipAddress: ip,
     location,
     device: parseBrowserInfo(req.headers['user-agent']),
     userAgent: req.headers['user-agent'],
-    risk: 'high'
+    risk: 'high',
+    unauthorized: expired
   });
 
   const alert = saveAlert({
@@ -334,27 +1135,40 @@ app.post('/api/track/download', (req, res) => {
 
   broadcastToAdmins({ type: 'DOWNLOAD_ALERT', event, alert });
 
-  res.json({ success: true });
-});
+  return { success: true };
+}
 
-// Print endpoint (CRITICAL RISK)
-app.post('/api/track/print', (req, res) => {
-  const { documentId, recipientId } = req.body;
+// Print (CRITICAL RISK)
+function trackPrint(req, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { watermarkId } = data;
+
+  if (!getPolicy(documentId).allowPrint) {
+    recordPolicyViolation(req, { documentId, recipientId, violation: 'print_blocked' }, data);
+    return {
+      success: false,
+      blocked: true,
+      error: 'Printing is not allowed for this document'
+    };
+  }
 
   const ip = getClientIP(req);
   const location = getLocationFromIP(ip);
 
   const event = saveEvent({
     id: crypto.randomUUID(),
+    ...clientFields(data),
     type: 'document_printed',
     documentId,
     recipientId,
-    timestamp: new Date().toISOString(),
+    watermarkId,
+    timestamp: eventTimestamp(data),
     ipAddress: ip,
     location,
     device: parseBrowserInfo(req.headers['user-agent']),
     userAgent: req.headers['user-agent'],
-    risk: 'critical'
+    risk: 'critical',
+    unauthorized: expired
   });
 
   const alert = saveAlert({
@@ -375,23 +1189,26 @@ app.post('/api/track/print', (req, res) => {
     sound: true 
   });
 
-  res.json({ success: true, alertSent: true });
-});
+  return { success: true, alertSent: true };
+}
 
-// Forward endpoint (UNAUTHORIZED)
-app.post('/api/track/forward', (req, res) => {
-  const { documentId, recipientId, forwardedTo } = req.body;
+// Forward (UNAUTHORIZED)
+function trackForward(req, data) {
+  const { documentId, recipientId } = req.access;
+  const { forwardedTo, watermarkId } = data;
 
   const ip = getClientIP(req);
   const location = getLocationFromIP(ip);
 
   const event = saveEvent({
     id: crypto.randomUUID(),
+    ...clientFields(data),
     type: 'document_forwarded',
     documentId,
     recipientId,
+    watermarkId,
     forwardedTo,
-    timestamp: new Date().toISOString(),
+    timestamp: eventTimestamp(data),
     ipAddress: ip,
     location,
     device: parseBrowserInfo(req.headers['user-agent']),
@@ -430,250 +1247,1785 @@ app.post('/api/track/forward', (req, res) => {
     sound: true
   });
 
-  res.json({ success: true, incidentCreated: true });
-});
+  return { success: true, incidentCreated: true };
+}
 
-// Copy endpoint
-app.post('/api/track/copy', (req, res) => {
-  const { documentId, recipientId } = req.body;
+// Copy
+function trackCopy(req, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { watermarkId } = data;
 
   const ip = getClientIP(req);
   const location = getLocationFromIP(ip);
 
   const event = saveEvent({
     id: crypto.randomUUID(),
+    ...clientFields(data),
     type: 'copy_attempt',
     documentId,
     recipientId,
-    timestamp: new Date().toISOString(),
+    watermarkId,
+    timestamp: eventTimestamp(data),
     ipAddress: ip,
     location,
     device: parseBrowserInfo(req.headers['user-agent']),
     userAgent: req.headers['user-agent'],
-    risk: 'medium'
+    risk: 'medium',
+    unauthorized: expired
   });
 
   broadcastToAdmins({ type: 'COPY_DETECTED', event });
 
-  res.json({ success: true });
-});
+  return { success: true };
+}
 
-// ============================================
-// QUERY ENDPOINTS
-// ============================================
+// Visible page regions (reading heatmap), reported as deltas since the last report
+const addRegionTimeStmt = sqlDb.prepare(`
+  INSERT INTO heatmap_regions (documentId, recipientId, pageNumber, band, viewTime, updatedAt)
+  VALUES (@documentId, @recipientId, @pageNumber, @band, @viewTime, @updatedAt)
+  ON CONFLICT(documentId, recipientId, pageNumber, band) DO UPDATE SET
+    viewTime = heatmap_regions.viewTime + excluded.viewTime,
+    updatedAt = excluded.updatedAt
+`);
 
-// Get all events for a document
-app.get('/api/documents/:documentId/events', (req, res) => {
-  const { documentId } = req.params;
+const updateScrollDepthStmt = sqlDb.prepare(`
+  UPDATE sessions SET scrollDepth = MAX(COALESCE(scrollDepth, 0), ?)
+  WHERE id = ? AND recipientId = ?
+`);
 
-  const events = sqlDb.prepare(
-    'SELECT * FROM events WHERE documentId = ? ORDER BY timestamp DESC LIMIT 100'
-  ).all(documentId);
+// One report covers at most a few heartbeats; anything larger is bogus
+const MAX_REGION_TIME = 10 * 60 * 1000;
+
+function trackPageRegions(req, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { regions, scrollDepth, watermarkId } = data;
+
+  const document = getDocument(documentId);
+  const pageCount = document ? document.pageCount : null;
+  const updatedAt = new Date().toISOString();
+  let totalTime = 0;
+
+  for (const { pageNumber, bands } of regions) {
+    // Without a known page count there is nothing to bound the rows by
+    if (!pageCount || pageNumber > pageCount) continue;
+
+    bands.forEach((viewTime, band) => {
+      if (viewTime === 0) return;
+      addRegionTimeStmt.run({
+        documentId,
+        recipientId,
+        pageNumber,
+        band,
+        viewTime: Math.min(viewTime, MAX_REGION_TIME),
+        updatedAt
+      });
+    });
+    totalTime += Math.min(Math.max(...bands), MAX_REGION_TIME);
+  }
 
-  const summary = {
-    totalEvents: events.length,
-    opens: events.filter(e => e.type === 'document_opened').length,
-    downloads: events.filter(e => e.type === 'document_downloaded').length,
-    prints: events.filter(e => e.type === 'document_printed').length,
-    forwards: events.filter(e => e.type === 'document_forwarded').length,
-    copies: events.filter(e => e.type === 'copy_attempt').length,
-    locations: [...new Set(events.map(e => e.location).filter(Boolean))],
-    devices: [...new Set(events.map(e => e.device).filter(Boolean))]
-  };
+  const ip = getClientIP(req);
 
-  res.json({ documentId, events, summary });
-});
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    ...clientFields(data),
+    type: 'page_regions',
+    documentId,
+    recipientId,
+    watermarkId,
+    timeSpent: totalTime,
+    timestamp: eventTimestamp(data),
+    ipAddress: ip,
+    location: getLocationFromIP(ip),
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent'],
+    unauthorized: expired
+  });
 
-// Get all events for a recipient
-app.get('/api/recipients/:recipientId/events', (req, res) => {
-  const { recipientId } = req.params;
+  if (event.sessionId && typeof scrollDepth === 'number') {
+    updateScrollDepthStmt.run(scrollDepth, event.sessionId, recipientId);
+  }
 
-  const events = sqlDb.prepare(
-    'SELECT * FROM events WHERE recipientId = ? ORDER BY timestamp DESC LIMIT 50'
-  ).all(recipientId);
+  return { success: true };
+}
 
-  const suspiciousEvents = events.filter(e => 
-    e.risk === 'high' || e.risk === 'critical'
-  );
+// Watermark overlay tampering (removed or hidden in the viewer)
+function trackWatermarkTampered(req, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { watermarkId, reason } = data;
 
-  res.json({
+  const ip = getClientIP(req);
+  const location = getLocationFromIP(ip);
+
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    ...clientFields(data),
+    type: 'watermark_tampered',
+    documentId,
     recipientId,
-    totalEvents: events.length,
-    events,
-    suspicious: suspiciousEvents
+    watermarkId,
+    action: reason || null,
+    timestamp: eventTimestamp(data),
+    ipAddress: ip,
+    location,
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent'],
+    risk: 'high',
+    unauthorized: expired
   });
-});
 
-// Get tracking summary for document
-app.get('/api/documents/:documentId/tracking-summary', (req, res) => {
-  const { documentId } = req.params;
+  const alert = saveAlert({
+    id: crypto.randomUUID(),
+    type: 'WATERMARK_TAMPERED',
+    severity: 'high',
+    message: `🕵️ On-screen watermark ${reason || 'tampered with'} in the viewer (${location})`,
+    eventId: event.id,
+    documentId,
+    recipientId,
+    requiresAction: 0
+  });
 
-  const events = sqlDb.prepare(
-    'SELECT * FROM events WHERE documentId = ? ORDER BY timestamp DESC'
-  ).all(documentId);
+  broadcastToAdmins({ type: 'WATERMARK_TAMPERED', event, alert });
+  checkForAnomalies(event, recipientId);
 
-  const incidents = sqlDb.prepare(
-    'SELECT * FROM incidents WHERE documentId = ? ORDER BY timestamp DESC'
-  ).all(documentId);
+  return { success: true };
+}
 
-  res.json({
+// Capture attempts spotted by the viewer (PDFClientTracker capture detectors)
+const CAPTURE_DETECTORS = {
+  'screenshot-attempt': { type: 'screenshot_attempt', risk: 'high', label: '📸 Screenshot shortcut pressed' },
+  'devtools-opened': { type: 'devtools_opened', risk: 'medium', label: '🛠️ Developer tools opened' },
+  'copy-then-blur': { type: 'copy_then_blur', risk: 'high', label: '📋 Switched away right after copying' },
+  'select-all': { type: 'select_all', risk: 'low', label: '🔤 Select-all used' },
+  'content-dragged': { type: 'content_dragged', risk: 'medium', label: '🖱️ Content dragged out of the viewer' }
+};
+
+function trackCaptureAttempt(detector, req, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { watermarkId, action } = data;
+
+  const ip = getClientIP(req);
+  const location = getLocationFromIP(ip);
+
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    ...clientFields(data),
+    type: detector.type,
     documentId,
-    totalEvents: events.length,
-    incidents: incidents.length,
-    riskLevel: incidents.length > 0 ? 'CRITICAL' : 'MEDIUM',
-    lastActivity: events.length > 0 ? events[0].timestamp : null,
-    recipients: [...new Set(events.map(e => e.recipientId).filter(Boolean))],
-    locations: [...new Set(events.map(e => e.location).filter(Boolean))],
-    timeline: events.slice(0, 50)
+    recipientId,
+    watermarkId,
+    action: action || null,
+    timestamp: eventTimestamp(data),
+    ipAddress: ip,
+    location,
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent'],
+    risk: detector.risk,
+    unauthorized: expired
   });
-});
-// ============================================
-// EMAIL SUMMARY ENDPOINT (PERSISTENT DASHBOARD)
-// ============================================
 
-app.get('/api/emails', (req, res) => {
-  const rows = sqlDb.prepare(`
-    SELECT
-      e.id               AS emailId,
-      e.documentId       AS documentId,
-      e.recipientId      AS recipientId,
-      e.recipientEmail   AS recipientEmail,
-      e.recipientName    AS recipientName,
-      e.subject          AS subject,
-      e.documentName     AS documentName,
-      e.sentAt           AS sentAt,
+  broadcastToAdmins({ type: 'CAPTURE_ATTEMPT', event, label: detector.label });
+  checkForAnomalies(event, recipientId);
 
-      -- aggregated stats from events
-      COALESCE(SUM(CASE WHEN ev.type = 'document_opened'     THEN 1 ELSE 0 END), 0) AS openCount,
-      MAX(CASE WHEN ev.type = 'document_opened'              THEN ev.timestamp END)  AS lastOpenAt,
-      COALESCE(SUM(CASE WHEN ev.type = 'document_downloaded' THEN 1 ELSE 0 END), 0) AS downloadCount,
-      COALESCE(SUM(CASE WHEN ev.type = 'document_printed'    THEN 1 ELSE 0 END), 0) AS printCount,
-      COALESCE(SUM(CASE WHEN ev.type = 'document_forwarded'  THEN 1 ELSE 0 END), 0) AS forwardCount
-    FROM emails e
-    LEFT JOIN events ev
-      ON ev.documentId = e.documentId
-     AND ev.recipientId = e.recipientId
-    GROUP BY e.id
-    ORDER BY datetime(e.sentAt) DESC
-    LIMIT 200;
-  `).all();
+  return { success: true };
+}
 
-  res.json({ emails: rows });
-});
+// Custom event from an integration (type registered in event_types)
+function trackCustomEvent(req, eventType, data) {
+  const { documentId, recipientId, expired } = req.access;
+  const { watermarkId, action, pageNumber } = data;
 
+  const ip = getClientIP(req);
+  const location = getLocationFromIP(ip);
 
-// Get all alerts
-app.get('/api/alerts', (req, res) => {
-  const alerts = sqlDb.prepare(
-    'SELECT * FROM alerts ORDER BY createdAt DESC LIMIT 100'
-  ).all();
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    ...clientFields(data),
+    type: eventType.name,
+    documentId,
+    recipientId,
+    watermarkId,
+    action: typeof action === 'string' ? action.slice(0, 200) : null,
+    pageNumber: Number.isInteger(pageNumber) ? pageNumber : null,
+    timestamp: eventTimestamp(data),
+    ipAddress: ip,
+    location,
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent'],
+    risk: eventType.risk,
+    unauthorized: expired
+  });
 
-  const totalAlerts = sqlDb.prepare(
-    'SELECT COUNT(*) as count FROM alerts'
-  ).get().count;
+  let alert = null;
+  if (eventType.raisesAlert) {
+    alert = saveAlert({
+      id: crypto.randomUUID(),
+      type: eventType.name.toUpperCase(),
+      severity: eventType.risk,
+      message: formatAlertMessage(eventType, event),
+      eventId: event.id,
+      documentId,
+      recipientId,
+      requiresAction: eventType.risk === 'critical' ? 1 : 0
+    });
+  }
 
-  res.json({ totalAlerts, alerts });
-});
+  broadcastToAdmins({ type: 'CUSTOM_EVENT', event, alert });
+  checkForAnomalies(event, recipientId);
 
-// Get all incidents
-app.get('/api/incidents', (req, res) => {
-  const incidents = sqlDb.prepare(
-    'SELECT * FROM incidents ORDER BY timestamp DESC'
-  ).all();
+  return { success: true, eventId: event.id, alertRaised: Boolean(alert) };
+}
 
-  const totalIncidents = sqlDb.prepare(
-    'SELECT COUNT(*) as count FROM incidents'
-  ).get().count;
+// Event type (as sent by the client tracker) -> handler
+const TRACK_HANDLERS = {
+  'document-open': trackDocumentOpen,
+  'page-view': trackPageView,
+  'download': trackDownload,
+  'print': trackPrint,
+  'forward': trackForward,
+  'copy': trackCopy,
+  'page-regions': trackPageRegions,
+  'watermark-tampered': trackWatermarkTampered
+};
+
+for (const [type, detector] of Object.entries(CAPTURE_DETECTORS)) {
+  TRACK_HANDLERS[type] = (req, data) => trackCaptureAttempt(detector, req, data);
+}
 
-  res.json({ totalIncidents, incidents });
-});
+// Built-in handler, or the custom-event handler for a registered type
+function resolveTrackHandler(type) {
+  if (Object.hasOwn(TRACK_HANDLERS, type)) return TRACK_HANDLERS[type];
 
-// Health check
-app.get('/api/health', (req, res) => {
-  const totalEvents = sqlDb.prepare('SELECT COUNT(*) as count FROM events').get().count;
-  const totalAlerts = sqlDb.prepare('SELECT COUNT(*) as count FROM alerts').get().count;
-  const totalIncidents = sqlDb.prepare('SELECT COUNT(*) as count FROM incidents').get().count;
+  const eventType = getEventType(type);
+  return eventType ? (req, data) => trackCustomEvent(req, eventType, data) : null;
+}
 
-  res.json({
-    status: 'ok',
-    timestamp: new Date(),
-    stats: {
-      totalEvents,
-      totalAlerts,
-      totalIncidents,
-      connectedAdmins: clients.size
+// Run one client event, skipping retries of an event that is already stored
+function handleTrackEvent(req, handler, data) {
+  if (findClientEvent(req.access.recipientId, data.id)) {
+    return { success: true, duplicate: true };
+  }
+  return handler(req, data);
+}
+
+// One route per event type: POST /api/track/document-open, /page-view, ...
+for (const [type, handler] of Object.entries(TRACK_HANDLERS)) {
+  app.post(`/api/track/${type}`, (req, res) => {
+    const errors = validateEvent(type, req.body);
+    if (errors.length > 0) {
+      return rejectTrackingPayload(req, res, 400, 'validation_failed', errors);
     }
+
+    const result = handleTrackEvent(req, handler, req.body);
+    res.status(result.blocked ? 403 : 200).json(result);
   });
-});
+}
 
-app.get('/pdf-client-tracker.js', (req, res) => {
-  res.sendFile(path.join(__dirname, 'pdf-client-tracker.js'));
-}); 
+// Generic endpoint for registered custom events
+// Body: { token, eventType, action, pageNumber, ... }
+app.post('/api/track/event', (req, res) => {
+  const errors = validateEvent('custom', req.body);
+  if (errors.length > 0) {
+    return rejectTrackingPayload(req, res, 400, 'validation_failed', errors);
+  }
 
-// ============================================
-// WEBSOCKET: REAL-TIME DASHBOARD
-// ============================================
+  const { eventType } = req.body;
+  const registered = getEventType(eventType);
 
-wss.on('connection', (ws) => {
-  console.log('👤 Admin connected to dashboard');
-  clients.add(ws);
+  if (!registered) {
+    return rejectTrackingPayload(req, res, 400, 'unknown_event_type', [{
+      field: 'eventType',
+      message: `${eventType} is not registered (PUT /api/event-types/:name)`
+    }]);
+  }
 
-  const recentEvents = sqlDb.prepare(
-    'SELECT * FROM events ORDER BY timestamp DESC LIMIT 20'
-  ).all();
+  res.json(handleTrackEvent(req, (r, data) => trackCustomEvent(r, registered, data), req.body));
+});
 
-  const totalEvents = sqlDb.prepare('SELECT COUNT(*) as count FROM events').get().count;
-  const totalAlerts = sqlDb.prepare('SELECT COUNT(*) as count FROM alerts').get().count;
-  const totalIncidents = sqlDb.prepare('SELECT COUNT(*) as count FROM incidents').get().count;
+// Batch endpoint: queued events from the client tracker, stored in one transaction
+// Body: { token, events: [{ id, type, ...payload }] }
+app.post('/api/track/batch', (req, res) => {
+  const batchErrors = validateBatch(req.body);
+  if (batchErrors.length > 0) {
+    return rejectTrackingPayload(req, res, 400, 'validation_failed', batchErrors);
+  }
 
-  ws.send(JSON.stringify({
-    type: 'CONNECTED',
-    data: {
-      totalEvents,
-      totalAlerts,
-      totalIncidents,
-      recentEvents
+  const results = sqlDb.transaction(() => req.body.events.map(data => {
+    const id = data && typeof data.id === 'string' ? data.id : null;
+    const handler = data && typeof data === 'object' && resolveTrackHandler(data.type);
+    if (!handler) {
+      countRejectedPayload(req, 'unknown_event_type');
+      return { id, status: 'rejected', error: REJECTION_MESSAGES.unknown_event_type };
     }
-  }));
 
-  ws.on('close', () => {
-    console.log('👤 Admin disconnected');
-    clients.delete(ws);
-  });
+    const errors = validateEvent(Object.hasOwn(TRACK_HANDLERS, data.type) ? data.type : 'custom', data);
+    if (errors.length > 0) {
+      countRejectedPayload(req, 'validation_failed');
+      return { id, status: 'rejected', error: REJECTION_MESSAGES.validation_failed, details: errors };
+    }
 
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-    clients.delete(ws);
+    const result = handleTrackEvent(req, handler, data);
+    if (result.duplicate) return { id, status: 'duplicate' };
+    if (result.blocked) return { id, status: 'blocked', error: result.error };
+    return { id, status: 'accepted' };
+  }))();
+
+  res.json({
+    success: true,
+    accepted: results.filter(r => r.status === 'accepted').length,
+    results
   });
 });
 
+// Body parser failures on tracking routes get the same structured answer
+app.use('/api/track', (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return rejectTrackingPayload(req, res, 400, 'malformed_json', [{ field: '(body)', message: err.message }]);
+  }
+  if (err.type === 'entity.too.large') {
+    return rejectTrackingPayload(req, res, 413, 'payload_too_large');
+  }
+
+  console.error(`❌ Tracking request to ${req.baseUrl + req.path} failed:`, err);
+  res.status(500).json({ success: false, error: 'Internal error while recording the event' });
+});
+
 // ============================================
-// DOCUMENT VIEWER ROUTE
+// DOCUMENT ENDPOINTS
 // ============================================
 
-app.get('/documents/:documentId', (req, res) => {
-  const { documentId } = req.params;
-  const { recipient, name } = req.query;
+// Upload a PDF (multipart/form-data, field "file", optional "name")
+app.post('/api/documents', requireAdmin, (req, res) => {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ success: false, error: err.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No PDF uploaded (expected form field "file")'
+      });
+    }
+
+    let buffer;
+    let pageCount;
+    try {
+      buffer = await fs.promises.readFile(req.file.path);
+      if (buffer.subarray(0, 5).toString() !== '%PDF-') throw new Error('Missing PDF header');
+      pageCount = (await PDFDocument.load(buffer, { ignoreEncryption: true })).getPageCount();
+    } catch (e) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ success: false, error: 'Uploaded file is not a valid PDF' });
+    }
+
+    const document = saveDocument({
+      id: req.documentId,
+      name: req.body.name || req.file.originalname,
+      fileName: req.file.filename,
+      mimeType: 'application/pdf',
+      size: req.file.size,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      pageCount
+    });
+
+    console.log(`📄 Document uploaded: ${document.name} (${document.id})`);
+
+    res.status(201).json({ success: true, document });
+  });
+});
+
+// List uploaded documents (newest first), e.g. for the dashboard's document picker
+app.get('/api/documents', (req, res) => {
+  const documents = sqlDb.prepare(
+    'SELECT id, name, size, pageCount, uploadedAt FROM documents ORDER BY datetime(uploadedAt) DESC'
+  ).all();
+  res.json({ success: true, documents });
+});
+
+// Revoke a recipient's access to a document (takes effect immediately)
+app.post('/api/documents/:documentId/recipients/:recipientId/revoke', requireAdmin, (req, res) => {
+  const { documentId, recipientId } = req.params;
+  const { reason = null } = req.body;
+
+  const known = sqlDb.prepare(
+    'SELECT 1 FROM emails WHERE documentId = ? AND recipientId = ?'
+  ).get(documentId, recipientId) || sqlDb.prepare(
+    'SELECT 1 FROM watermarks WHERE documentId = ? AND recipientId = ?'
+  ).get(documentId, recipientId);
+
+  if (!known) {
+    return res.status(404).json({ success: false, error: 'Recipient not found for this document' });
+  }
+
+  const existing = getRevocation(documentId, recipientId);
+  if (existing) {
+    return res.json({ success: true, revocation: existing, alreadyRevoked: true });
+  }
+
+  const revocation = {
+    id: crypto.randomUUID(),
+    documentId,
+    recipientId,
+    reason,
+    revokedAt: new Date().toISOString()
+  };
+  sqlDb.prepare(`
+    INSERT INTO revocations (id, documentId, recipientId, reason, revokedAt)
+    VALUES (@id, @documentId, @recipientId, @reason, @revokedAt)
+  `).run(revocation);
+
+  console.log(`🚫 Access revoked: ${recipientId} on ${documentId}`);
+  broadcastToAdmins({ type: 'ACCESS_REVOKED', revocation });
+
+  res.json({ success: true, revocation });
+});
+
+// Get the access policy for a document
+app.get('/api/documents/:documentId/policy', (req, res) => {
+  const { documentId } = req.params;
+  if (!getDocument(documentId)) {
+    return res.status(404).json({ success: false, error: 'Document not found' });
+  }
+  res.json({ success: true, policy: getPolicy(documentId) });
+});
+
+// Set the access policy for a document
+// Body: { expiresAt, maxOpens, maxDevices, allowDownload, allowPrint, requireOtp,
+//         overlayEnabled, overlayOpacity } (null clears a limit)
+app.put('/api/documents/:documentId/policy', requireAdmin, (req, res) => {
+  const { documentId } = req.params;
+  const {
+    expiresAt = null,
+    maxOpens = null,
+    maxDevices = null,
+    allowDownload = true,
+    allowPrint = true,
+    requireOtp = false,
+    overlayEnabled = true,
+    overlayOpacity = DEFAULT_OVERLAY_OPACITY
+  } = req.body;
+
+  if (!getDocument(documentId)) {
+    return res.status(404).json({ success: false, error: 'Document not found' });
+  }
+  if (expiresAt !== null && isNaN(new Date(expiresAt).getTime())) {
+    return res.status(400).json({ success: false, error: 'expiresAt must be a valid date' });
+  }
+  if (maxOpens !== null && !(Number.isInteger(maxOpens) && maxOpens > 0)) {
+    return res.status(400).json({ success: false, error: 'maxOpens must be a positive integer' });
+  }
+  if (maxDevices !== null && !(Number.isInteger(maxDevices) && maxDevices > 0)) {
+    return res.status(400).json({ success: false, error: 'maxDevices must be a positive integer' });
+  }
+  if ([allowDownload, allowPrint, requireOtp, overlayEnabled].some(v => typeof v !== 'boolean')) {
+    return res.status(400).json({
+      success: false,
+      error: 'allowDownload, allowPrint, requireOtp and overlayEnabled must be booleans'
+    });
+  }
+  if (typeof overlayOpacity !== 'number' || overlayOpacity < 0.02 || overlayOpacity > 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'overlayOpacity must be a number between 0.02 and 1'
+    });
+  }
+
+  const policy = savePolicy({
+    documentId,
+    expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+    maxOpens,
+    maxDevices,
+    allowDownload,
+    allowPrint,
+    requireOtp,
+    overlayEnabled,
+    overlayOpacity
+  });
+
+  res.json({ success: true, policy });
+});
+
+// ============================================
+// EVENT TYPE REGISTRY
+// ============================================
+
+// List registered custom event types
+app.get('/api/event-types', (req, res) => {
+  const eventTypes = sqlDb.prepare('SELECT * FROM event_types ORDER BY name')
+    .all()
+    .map(row => ({ ...row, raisesAlert: Boolean(row.raisesAlert) }));
+
+  res.json({ success: true, eventTypes });
+});
+
+// Register or update a custom event type
+// Body: { risk, raisesAlert, alertMessage, description }
+app.put('/api/event-types/:name', requireAdmin, (req, res) => {
+  const { name } = req.params;
+  const { risk = 'low', raisesAlert = false, alertMessage = null, description = null } = req.body;
+
+  if (!EVENT_TYPE_NAME.test(name)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Event type names are lowercase letters, digits and underscores (2-50 characters)'
+    });
+  }
+  if (BUILT_IN_EVENT_TYPES.has(name)) {
+    return res.status(400).json({ success: false, error: `${name} is a built-in event type` });
+  }
+  if (!EVENT_RISK_LEVELS.includes(risk)) {
+    return res.status(400).json({
+      success: false,
+      error: `risk must be one of: ${EVENT_RISK_LEVELS.join(', ')}`
+    });
+  }
+  if (typeof raisesAlert !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'raisesAlert must be a boolean' });
+  }
+  if (alertMessage !== null && (typeof alertMessage !== 'string' || alertMessage.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      error: 'alertMessage must be a string of at most 200 characters'
+    });
+  }
+
+  const eventType = saveEventType({ name, risk, raisesAlert, alertMessage, description });
+  console.log(`🏷️  Event type registered: ${name} (${risk}${raisesAlert ? ', alerts' : ''})`);
+
+  res.json({ success: true, eventType });
+});
+
+// Remove a custom event type (events already recorded are kept)
+app.delete('/api/event-types/:name', requireAdmin, (req, res) => {
+  const result = sqlDb.prepare('DELETE FROM event_types WHERE name = ?').run(req.params.name);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ success: false, error: 'Event type not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+
+const upsertTemplateStmt = sqlDb.prepare(`
+  INSERT INTO email_templates (name, description, subject, html, text, sampleData, createdAt, updatedAt)
+  VALUES (@name, @description, @subject, @html, @text, @sampleData, @updatedAt, @updatedAt)
+  ON CONFLICT(name) DO UPDATE SET
+    description = excluded.description,
+    subject = excluded.subject,
+    html = excluded.html,
+    text = excluded.text,
+    sampleData = excluded.sampleData,
+    updatedAt = excluded.updatedAt
+`);
+
+function saveTemplate(template) {
+  upsertTemplateStmt.run({
+    name: template.name,
+    description: template.description || null,
+    subject: template.subject,
+    html: template.html,
+    text: template.text || null,
+    sampleData: JSON.stringify(template.sampleData || {}),
+    updatedAt: new Date().toISOString()
+  });
+  return loadTemplate(sqlDb, template.name);
+}
+
+// Merge fields a template uses, so callers know which custom values to send
+function describeTemplate(template) {
+  return { ...template, fields: extractFields(template.subject, template.html, template.text) };
+}
+
+app.get('/api/templates', (req, res) => {
+  const templates = sqlDb.prepare('SELECT * FROM email_templates ORDER BY name')
+    .all()
+    .map(row => describeTemplate(parseTemplateRow(row)));
+
+  res.json({ success: true, templates });
+});
+
+app.get('/api/templates/:name', (req, res) => {
+  const template = loadTemplate(sqlDb, req.params.name);
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+  res.json({ success: true, template: describeTemplate(template) });
+});
+
+// Create or replace a template
+// Body: { subject, html, text?, description?, sampleData? }
+app.put('/api/templates/:name', requireAdmin, (req, res) => {
+  const { name } = req.params;
+  const { subject, html, text = null, description = null, sampleData = {} } = req.body;
+
+  if (!TEMPLATE_NAME.test(name)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Template names are lowercase letters, digits, dashes and underscores (2-50 characters)'
+    });
+  }
+
+  const error = validateTemplate({ subject, html, text, description, sampleData });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const template = saveTemplate({ name, subject, html, text, description, sampleData });
+  console.log(`🧩 Email template saved: ${name}`);
+
+  res.json({ success: true, template: describeTemplate(template) });
+});
+
+app.delete('/api/templates/:name', requireAdmin, (req, res) => {
+  const result = sqlDb.prepare('DELETE FROM email_templates WHERE name = ?').run(req.params.name);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// Render a template with sample data (built-in samples, then the template's
+// sampleData, then body.data). Tracking links are not generated for previews.
+app.post('/api/templates/:name/preview', (req, res) => {
+  const template = loadTemplate(sqlDb, req.params.name);
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
+  const data = (req.body && req.body.data) || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return res.status(400).json({ success: false, error: 'data must be an object of field values' });
+  }
+
+  const preview = renderTemplate(template, { ...SAMPLE_DATA, ...template.sampleData, ...data });
+  res.json({ success: true, preview });
+});
+
+// ============================================
+// FORENSICS ENDPOINTS
+// ============================================
+
+// Identify the recipient a leaked PDF (or page image) was delivered to.
+// Only PDFs are decoded: there is no OCR, so for a photo or scan the
+// identifier must be read off the visible stamp and sent as "watermarkId"
+// (the image is then kept only as evidence for the incident).
+app.post('/api/forensics/identify', requireAdmin, (req, res) => {
+  forensicUpload.single('file')(req, res, async (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ success: false, error: err.message });
+    }
+
+    try {
+      const { watermarkId } = req.body;
+      if (watermarkId !== undefined && typeof watermarkId !== 'string') {
+        return res.status(400).json({ success: false, error: 'watermarkId must be a single string' });
+      }
+
+      const isPdf = Boolean(req.file) && req.file.mimetype === 'application/pdf';
+      if (!isPdf && !(watermarkId && watermarkId.trim())) {
+        return res.status(400).json({
+          success: false,
+          error: req.file
+            ? 'Page images cannot be decoded automatically; provide the ID printed in the page stamp as "watermarkId"'
+            : 'Upload a PDF (form field "file") or provide "watermarkId"'
+        });
+      }
+
+      const candidates = [];
+      if (watermarkId && watermarkId.trim()) {
+        candidates.push(watermarkId.trim().toUpperCase());
+      }
+      if (isPdf) {
+        candidates.push(...await extractWatermarkIds(req.file.buffer));
+      }
+
+      const watermark = candidates
+        .map(id => sqlDb.prepare('SELECT * FROM watermarks WHERE id = ?').get(id))
+        .find(Boolean);
+
+      if (!watermark) {
+        return res.json({ success: true, matched: false, candidates });
+      }
+
+      const { documentId, recipientId } = watermark;
+
+      // Emailed attachments record the exact email they went out with
+      const email = (watermark.emailId && sqlDb.prepare('SELECT * FROM emails WHERE id = ?').get(watermark.emailId)) ||
+        sqlDb.prepare('SELECT * FROM emails WHERE documentId = ? AND recipientId = ?').get(documentId, recipientId) ||
+        null;
+
+      const timeline = sqlDb.prepare(
+        'SELECT * FROM events WHERE documentId = ? AND recipientId = ? ORDER BY timestamp ASC'
+      ).all(documentId, recipientId);
+
+      const recipient = {
+        recipientId,
+        recipientEmail: email ? email.recipientEmail : watermark.recipientEmail,
+        recipientName: email ? email.recipientName : null
+      };
+
+      // Resubmitting the same evidence returns the incident it already opened
+      const evidenceHash = req.file
+        ? crypto.createHash('sha256').update(req.file.buffer).digest('hex')
+        : null;
+      const existing = sqlDb.prepare(`
+        SELECT * FROM incidents
+        WHERE type = 'LEAK_ATTRIBUTED' AND watermarkId = ? AND evidenceHash IS ?
+      `).get(watermark.id, evidenceHash);
+
+      if (existing) {
+        return res.json({
+          success: true,
+          matched: true,
+          duplicate: true,
+          watermark,
+          recipient,
+          email,
+          timeline,
+          incident: existing
+        });
+      }
+
+      const incident = saveIncident({
+        id: crypto.randomUUID(),
+        type: 'LEAK_ATTRIBUTED',
+        severity: 'CRITICAL',
+        documentId,
+        fromRecipient: recipientId,
+        status: 'open',
+        timestamp: new Date().toISOString(),
+        watermarkId: watermark.id,
+        evidenceHash
+      });
+
+      const alert = saveAlert({
+        id: crypto.randomUUID(),
+        type: 'LEAK_ATTRIBUTED',
+        severity: 'critical',
+        message: `🚨 Leaked ${watermark.emailId ? 'email attachment' : 'copy'} traced to ${recipient.recipientEmail || recipientId} (watermark ${watermark.id})`,
+        documentId,
+        recipientId,
+        requiresAction: 1
+      });
+
+      broadcastToAdmins({
+        type: 'LEAK_ATTRIBUTED',
+        incident,
+        alert,
+        watermark,
+        recipient,
+        sound: true
+      });
+
+      res.json({
+        success: true,
+        matched: true,
+        watermark,
+        recipient,
+        email,
+        timeline,
+        incident
+      });
+    } catch (error) {
+      console.error('❌ Leak attribution failed:', error);
+      res.status(500).json({ success: false, error: 'Internal error while analyzing the file' });
+    }
+  });
+});
+
+// ============================================
+// QUERY ENDPOINTS
+// ============================================
+
+// Get all events for a document
+app.get('/api/documents/:documentId/events', (req, res) => {
+  const { documentId } = req.params;
+
+  const events = sqlDb.prepare(
+    'SELECT * FROM events WHERE documentId = ? ORDER BY timestamp DESC LIMIT 100'
+  ).all(documentId);
+
+  const summary = {
+    totalEvents: events.length,
+    opens: events.filter(e => e.type === 'document_opened').length,
+    downloads: events.filter(e => e.type === 'document_downloaded').length,
+    prints: events.filter(e => e.type === 'document_printed').length,
+    forwards: events.filter(e => e.type === 'document_forwarded').length,
+    copies: events.filter(e => e.type === 'copy_attempt').length,
+    locations: [...new Set(events.map(e => e.location).filter(Boolean))],
+    devices: [...new Set(events.map(e => e.device).filter(Boolean))]
+  };
+
+  res.json({ documentId, events, summary });
+});
+
+// Get all events for a recipient
+app.get('/api/recipients/:recipientId/events', (req, res) => {
+  const { recipientId } = req.params;
+
+  const events = sqlDb.prepare(
+    'SELECT * FROM events WHERE recipientId = ? ORDER BY timestamp DESC LIMIT 50'
+  ).all(recipientId);
+
+  const suspiciousEvents = events.filter(e => 
+    e.risk === 'high' || e.risk === 'critical'
+  );
+
+  res.json({
+    recipientId,
+    totalEvents: events.length,
+    events,
+    suspicious: suspiciousEvents
+  });
+});
+
+// Get tracking summary for document
+app.get('/api/documents/:documentId/tracking-summary', (req, res) => {
+  const { documentId } = req.params;
+
+  const events = sqlDb.prepare(
+    'SELECT * FROM events WHERE documentId = ? ORDER BY timestamp DESC'
+  ).all(documentId);
+
+  const incidents = sqlDb.prepare(
+    'SELECT * FROM incidents WHERE documentId = ? ORDER BY timestamp DESC'
+  ).all(documentId);
+
+  // Share of the document's pages each recipient has actually viewed
+  const document = getDocument(documentId);
+  const pageCount = document ? document.pageCount : null;
+  const pagesByRecipient = {};
+  for (const e of events) {
+    if (e.type !== 'page_viewed' || !e.pageNumber) continue;
+    (pagesByRecipient[e.recipientId] ||= new Set()).add(e.pageNumber);
+  }
+  const completion = Object.entries(pagesByRecipient).map(([recipientId, pages]) => ({
+    recipientId,
+    pagesViewed: pages.size,
+    completion: pageCount ? Math.round((pages.size / pageCount) * 100) : null
+  }));
+
+  // Distinct devices each recipient link was opened on
+  const devices = sqlDb.prepare(`
+    SELECT recipientId, COUNT(*) AS devices, MAX(lastSeen) AS lastSeen
+    FROM devices WHERE documentId = ? GROUP BY recipientId
+  `).all(documentId);
+
+  res.json({
+    documentId,
+    pageCount,
+    completion,
+    devices,
+    totalEvents: events.length,
+    incidents: incidents.length,
+    riskLevel: incidents.length > 0 ? 'CRITICAL' : 'MEDIUM',
+    lastActivity: events.length > 0 ? events[0].timestamp : null,
+    recipients: [...new Set(events.map(e => e.recipientId).filter(Boolean))],
+    locations: [...new Set(events.map(e => e.location).filter(Boolean))],
+    timeline: events.slice(0, 50)
+  });
+});
+
+// Reading heatmap: time each vertical band of each page was on screen
+// (all recipients, or one with ?recipientId=)
+app.get('/api/documents/:documentId/heatmap', (req, res) => {
+  const { documentId } = req.params;
+  const { recipientId } = req.query;
+
+  const filter = recipientId ? 'AND recipientId = ?' : '';
+  const params = recipientId ? [documentId, recipientId] : [documentId];
+
+  const bandRows = sqlDb.prepare(`
+    SELECT pageNumber, band, SUM(viewTime) AS viewTime
+    FROM heatmap_regions
+    WHERE documentId = ? ${filter}
+    GROUP BY pageNumber, band
+  `).all(...params);
+
+  const readerRows = sqlDb.prepare(`
+    SELECT pageNumber, COUNT(DISTINCT recipientId) AS readers
+    FROM heatmap_regions
+    WHERE documentId = ? ${filter} AND viewTime > 0
+    GROUP BY pageNumber
+  `).all(...params);
+
+  const scrollRows = sqlDb.prepare(`
+    SELECT recipientId, MAX(scrollDepth) AS scrollDepth
+    FROM sessions
+    WHERE documentId = ? ${filter} AND scrollDepth IS NOT NULL
+    GROUP BY recipientId
+  `).all(...params);
+
+  const document = getDocument(documentId);
+  const pageCount = document ? document.pageCount : null;
+  const lastPage = pageCount || 0;
+  const pageRows = bandRows.filter(r => r.pageNumber <= lastPage);
+  const maxViewTime = Math.max(0, ...pageRows.map(r => r.viewTime));
+
+  // Every page is listed, including the ones nobody scrolled to
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= lastPage; pageNumber++) {
+    const regions = Array.from({ length: HEATMAP_BANDS }, (_, band) => ({
+      band,
+      viewTime: 0,
+      intensity: 0
+    }));
+    pages.push({ pageNumber, totalTime: 0, readers: 0, regions });
+  }
+
+  for (const row of pageRows) {
+    const page = pages[row.pageNumber - 1];
+    page.regions[row.band].viewTime = row.viewTime;
+    page.regions[row.band].intensity = maxViewTime ? row.viewTime / maxViewTime : 0;
+    page.totalTime = Math.max(page.totalTime, row.viewTime);
+  }
+  for (const row of readerRows.filter(r => r.pageNumber <= lastPage)) {
+    pages[row.pageNumber - 1].readers = row.readers;
+  }
+
+  res.json({
+    documentId,
+    pageCount,
+    bands: HEATMAP_BANDS,
+    maxViewTime,
+    pages,
+    scrollDepth: scrollRows
+  });
+});
+
+// True engagement: active (non-idle) reading time per page, session and recipient.
+// page_viewed events carry non-overlapping deltas, so they can simply be summed.
+app.get('/api/documents/:documentId/engagement', (req, res) => {
+  const { documentId } = req.params;
+  const { recipientId } = req.query;
+
+  const filter = recipientId ? 'AND recipientId = ?' : '';
+  const params = recipientId ? [documentId, recipientId] : [documentId];
+  const pageViews = `FROM events WHERE documentId = ? ${filter} AND type = 'page_viewed'`;
+
+  const pages = sqlDb.prepare(`
+    SELECT pageNumber, SUM(timeSpent) AS activeTime, COUNT(DISTINCT recipientId) AS readers
+    ${pageViews} AND pageNumber IS NOT NULL
+    GROUP BY pageNumber ORDER BY pageNumber
+  `).all(...params);
+
+  const sessions = sqlDb.prepare(`
+    SELECT sessionId, recipientId, SUM(timeSpent) AS activeTime,
+           COUNT(DISTINCT pageNumber) AS pagesRead,
+           MIN(timestamp) AS startedAt, MAX(timestamp) AS endedAt
+    ${pageViews} AND sessionId IS NOT NULL
+    GROUP BY sessionId, recipientId ORDER BY startedAt DESC
+  `).all(...params);
+
+  const recipients = sqlDb.prepare(`
+    SELECT recipientId, SUM(timeSpent) AS activeTime,
+           COUNT(DISTINCT sessionId) AS sessions,
+           COUNT(DISTINCT pageNumber) AS pagesRead
+    ${pageViews}
+    GROUP BY recipientId ORDER BY activeTime DESC
+  `).all(...params);
+
+  res.json({
+    documentId,
+    totalActiveTime: recipients.reduce((sum, r) => sum + (r.activeTime || 0), 0),
+    pages,
+    sessions,
+    recipients
+  });
+});
+
+// Viewing sessions for a document, optionally for one recipient (?recipientId=)
+app.get('/api/documents/:documentId/sessions', (req, res) => {
+  const { documentId } = req.params;
+  const { recipientId } = req.query;
+
+  const sessions = recipientId
+    ? sqlDb.prepare(
+        'SELECT * FROM sessions WHERE documentId = ? AND recipientId = ? ORDER BY startedAt DESC'
+      ).all(documentId, recipientId)
+    : sqlDb.prepare(
+        'SELECT * FROM sessions WHERE documentId = ? ORDER BY startedAt DESC'
+      ).all(documentId);
+
+  // How many separate times each recipient read it, and for how long
+  const byRecipient = {};
+  for (const session of sessions) {
+    const summary = byRecipient[session.recipientId] ||= {
+      recipientId: session.recipientId,
+      sessions: 0,
+      totalActiveTime: 0,
+      firstSeen: session.startedAt,
+      lastSeen: session.endedAt
+    };
+    summary.sessions++;
+    summary.totalActiveTime += session.activeTime;
+    if (session.startedAt < summary.firstSeen) summary.firstSeen = session.startedAt;
+    if (session.endedAt > summary.lastSeen) summary.lastSeen = session.endedAt;
+  }
+
+  res.json({
+    documentId,
+    totalSessions: sessions.length,
+    recipients: Object.values(byRecipient),
+    sessions
+  });
+});
+
+// ============================================
+// EMAIL SUMMARY ENDPOINT (PERSISTENT DASHBOARD)
+// ============================================
+
+// SQL condition on an events row (ev): the hit counts as an open
+// (human or image proxy, see NON_OPEN_CLASSIFICATIONS)
+const COUNTED_OPEN_SQL = `COALESCE(ev.classification, 'human') NOT IN (${
+  NON_OPEN_CLASSIFICATIONS.map(c => `'${c}'`).join(', ')
+})`;
+
+/**
+ * Sent emails with their engagement stats (newest first, at most 200)
+ * Pixel hits (and link clicks) from privacy prefetchers and scanners are not
+ * opens unless includeMachineOpens is set; image proxy hits are, since a
+ * proxy only fetches when the reader opens the email.
+ * Hits recorded before classification existed count as human.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeMachineOpens]
+ * @param {string} [options.emailId] - Only this email
+ */
+function getEmailSummaries({ includeMachineOpens = false, emailId = null } = {}) {
+  const machinePixel = `NOT (${COUNTED_OPEN_SQL})`;
+  const countedPixel = includeMachineOpens ? '1 = 1' : COUNTED_OPEN_SQL;
+
+  const rows = sqlDb.prepare(`
+    SELECT
+      e.id               AS emailId,
+      e.documentId       AS documentId,
+      e.recipientId      AS recipientId,
+      e.recipientEmail   AS recipientEmail,
+      e.recipientName    AS recipientName,
+      e.subject          AS subject,
+      e.documentName     AS documentName,
+      e.sentAt           AS sentAt,
+      r.revokedAt        AS revokedAt,
+      (SELECT w.id FROM watermarks w WHERE w.emailId = e.id) AS attachmentWatermarkId,
+
+      -- aggregated stats from events
+      COALESCE(SUM(CASE WHEN ev.type = 'document_opened'     THEN 1 ELSE 0 END), 0) AS openCount,
+      MAX(CASE WHEN ev.type = 'document_opened'              THEN ev.timestamp END)  AS lastOpenAt,
+      COALESCE(SUM(CASE WHEN ev.type = 'pixel_beacon' AND ${countedPixel} THEN 1 ELSE 0 END), 0) AS emailOpenCount,
+      MAX(CASE WHEN ev.type = 'pixel_beacon' AND ${countedPixel}         THEN ev.timestamp END)  AS lastEmailOpenAt,
+      COALESCE(SUM(CASE WHEN ev.type = 'pixel_beacon' AND ${machinePixel} THEN 1 ELSE 0 END), 0) AS machineOpenCount,
+      COALESCE(SUM(CASE WHEN ev.type = 'document_downloaded' THEN 1 ELSE 0 END), 0) AS downloadCount,
+      COALESCE(SUM(CASE WHEN ev.type = 'document_printed'    THEN 1 ELSE 0 END), 0) AS printCount,
+      COALESCE(SUM(CASE WHEN ev.type = 'document_forwarded'  THEN 1 ELSE 0 END), 0) AS forwardCount
+    FROM emails e
+    LEFT JOIN events ev
+      ON ev.documentId = e.documentId
+     AND ev.recipientId = e.recipientId
+    LEFT JOIN revocations r
+      ON r.documentId = e.documentId
+     AND r.recipientId = e.recipientId
+    WHERE @emailId IS NULL OR e.id = @emailId
+    GROUP BY e.id
+    ORDER BY datetime(e.sentAt) DESC
+    LIMIT 200;
+  `).all({ emailId });
+
+  // Per-link clicks for each email, prefetch and scanner clicks left out like opens
+  const linkClicksStmt = sqlDb.prepare(`
+    SELECT
+      ev.action         AS url,
+      COUNT(*)          AS clicks,
+      MAX(ev.timestamp) AS lastClickedAt
+    FROM events ev
+    WHERE ev.recipientId = ? AND ev.documentId = ?
+      AND ev.type = 'link_clicked' AND ${countedPixel}
+    GROUP BY ev.action
+    ORDER BY clicks DESC
+  `);
+
+  for (const row of rows) {
+    row.links = linkClicksStmt.all(row.recipientId, row.documentId);
+    row.clickCount = row.links.reduce((sum, l) => sum + l.clicks, 0);
+  }
+
+  return rows;
+}
+
+// ?includeMachineOpens=true also counts prefetch and scanner hits and clicks as opens
+app.get('/api/emails', (req, res) => {
+  const includeMachineOpens = req.query.includeMachineOpens === 'true';
+  res.json({ emails: getEmailSummaries({ includeMachineOpens }), includeMachineOpens });
+});
+
+// Send one tracked email (dashboard compose panel). The new row is pushed to
+// dashboards as EMAIL_SENT in the same shape as the /api/emails rows.
+app.post('/api/emails/send', requireAdmin, async (req, res) => {
+  const {
+    recipientEmail, recipientName, subject, message, senderName, documentId,
+    template: templateName, attachDocument = false
+  } = req.body || {};
+
+  const { recipients: [recipient], errors } = validateRecipients([{ email: recipientEmail, name: recipientName }]);
+  if (!recipient) {
+    return res.status(400).json({ success: false, error: errors[0].message });
+  }
+
+  let template = null;
+  if (templateName) {
+    template = loadTemplate(sqlDb, templateName);
+    if (!template) {
+      return res.status(404).json({ success: false, error: `Template "${templateName}" not found` });
+    }
+  }
+
+  // A template brings its own subject
+  if (!template && (!subject || typeof subject !== 'string')) {
+    return res.status(400).json({ success: false, error: 'subject is required' });
+  }
+  if (subject !== undefined && typeof subject !== 'string') {
+    return res.status(400).json({ success: false, error: 'subject must be a string' });
+  }
+  if (message !== undefined && typeof message !== 'string') {
+    return res.status(400).json({ success: false, error: 'message must be a string' });
+  }
+  if (typeof attachDocument !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'attachDocument must be a boolean' });
+  }
+  if (attachDocument && !documentId) {
+    return res.status(400).json({ success: false, error: 'attachDocument needs a documentId' });
+  }
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+    return res.status(503).json({ success: false, error: 'Email is not configured (EMAIL_USER / EMAIL_PASSWORD)' });
+  }
+
+  let documentName;
+  try {
+    documentName = resolveDocumentName(documentId, req.body.documentName);
+  } catch (err) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+
+  let result;
+  try {
+    result = await sendTrackedEmail({
+      recipientEmail: recipient.email,
+      recipientName: recipient.name,
+      // Only the caller's subject is a merge value; a template renders its own
+      subject: subject || undefined,
+      message: message || undefined,
+      senderName: senderName || undefined,
+      documentId: documentId || undefined,
+      documentName,
+      templateName: template ? template.name : undefined,
+      attachDocument,
+      verbose: false
+    });
+  } catch (err) {
+    return res.status(502).json({ success: false, error: `Email could not be sent: ${err.message}` });
+  }
+
+  const [email] = getEmailSummaries({ emailId: result.emailId });
+  broadcastToAdmins({ type: 'EMAIL_SENT', email });
+
+  res.status(201).json({ success: true, email, messageId: result.messageId, watermarkId: result.watermarkId });
+});
+
+// ============================================
+// CAMPAIGNS (BULK SENDS FROM A CSV LIST)
+// ============================================
+
+const MAX_CAMPAIGN_RECIPIENTS = 1000;
+const MAX_CAMPAIGN_RATE = 600;
+
+// Campaigns run in-process, so a restart leaves any that were mid-send stuck
+// in 'sending'. Close them out with what was actually sent.
+function reconcileInterruptedCampaigns() {
+  const stuck = sqlDb.prepare("SELECT id, name, sentCount, totalRecipients FROM campaigns WHERE status = 'sending'").all();
+  const completedAt = new Date().toISOString();
+  const update = sqlDb.prepare('UPDATE campaigns SET status = ?, completedAt = ? WHERE id = ?');
+
+  for (const campaign of stuck) {
+    const status = campaign.sentCount > 0 ? 'partial' : 'failed';
+    update.run(status, completedAt, campaign.id);
+    console.warn(`⚠️  Campaign "${campaign.name}" was interrupted after ${campaign.sentCount}/${campaign.totalRecipients} emails, marked ${status}`);
+  }
+}
+
+reconcileInterruptedCampaigns();
+
+// Campaign rows with open/download stats over the emails they grouped
+// (prefetch and scanner pixel hits are not opens, as in /api/emails)
+function getCampaignStats(campaignId = null) {
+  const rows = sqlDb.prepare(`
+    SELECT
+      c.*,
+      COUNT(DISTINCT CASE WHEN ev.type = 'document_opened' THEN e.id END)     AS openedRecipients,
+      COALESCE(SUM(CASE WHEN ev.type = 'document_opened' THEN 1 ELSE 0 END), 0) AS openCount,
+      COUNT(DISTINCT CASE WHEN ev.type = 'pixel_beacon'
+                           AND ${COUNTED_OPEN_SQL} THEN e.id END) AS emailOpenedRecipients,
+      COUNT(DISTINCT CASE WHEN ev.type = 'document_downloaded' THEN e.id END) AS downloadedRecipients,
+      COALESCE(SUM(CASE WHEN ev.type = 'document_downloaded' THEN 1 ELSE 0 END), 0) AS downloadCount
+    FROM campaigns c
+    LEFT JOIN emails e
+      ON e.campaignId = c.id
+    LEFT JOIN events ev
+      ON ev.documentId = e.documentId
+     AND ev.recipientId = e.recipientId
+    WHERE (@campaignId IS NULL OR c.id = @campaignId)
+    GROUP BY c.id
+    ORDER BY datetime(c.createdAt) DESC
+    LIMIT 200
+  `).all({ campaignId });
+
+  for (const row of rows) {
+    row.openRate = row.sentCount ? row.openedRecipients / row.sentCount : 0;
+    row.downloadRate = row.sentCount ? row.downloadedRecipients / row.sentCount : 0;
+  }
+  return rows;
+}
+
+// Start a campaign: recipients as CSV text ("email,name" header; other columns
+// fill template fields) or an array. attachDocument: true also attaches a
+// watermarked copy of the document to each email.
+// Sending is rate-limited, so this answers 202 and progress is pushed over
+// the WebSocket as CAMPAIGN_PROGRESS.
+app.post('/api/campaigns', requireAdmin, (req, res) => {
+  const {
+    name, message, senderName, documentId, csv, ratePerMinute, template: templateName, attachDocument = false
+  } = req.body || {};
+
+  let template = null;
+  if (templateName) {
+    template = loadTemplate(sqlDb, templateName);
+    if (!template) {
+      return res.status(404).json({ success: false, error: `Template "${templateName}" not found` });
+    }
+  }
+
+  // A template brings its own subject
+  const { subject } = req.body;
+  if (!template && (!subject || typeof subject !== 'string')) {
+    return res.status(400).json({ success: false, error: 'subject is required' });
+  }
+  if (subject !== undefined && typeof subject !== 'string') {
+    return res.status(400).json({ success: false, error: 'subject must be a string' });
+  }
+  if (message !== undefined && typeof message !== 'string') {
+    return res.status(400).json({ success: false, error: 'message must be a string' });
+  }
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+    return res.status(503).json({ success: false, error: 'Email is not configured (EMAIL_USER / EMAIL_PASSWORD)' });
+  }
+
+  let parsed;
+  if (typeof csv === 'string') {
+    parsed = parseRecipientsCsv(csv);
+  } else if (Array.isArray(req.body.recipients)) {
+    parsed = validateRecipients(req.body.recipients);
+  } else {
+    return res.status(400).json({ success: false, error: 'Provide recipients as csv text or a recipients array' });
+  }
+
+  const { recipients, errors } = parsed;
+  if (!recipients.length) {
+    return res.status(400).json({ success: false, error: 'No valid recipients', details: errors });
+  }
+  if (recipients.length > MAX_CAMPAIGN_RECIPIENTS) {
+    return res.status(400).json({
+      success: false,
+      error: `A campaign can have at most ${MAX_CAMPAIGN_RECIPIENTS} recipients`
+    });
+  }
+
+  const rate = ratePerMinute === undefined ? DEFAULT_CAMPAIGN_RATE : Number(ratePerMinute);
+  if (!Number.isInteger(rate) || rate < 1 || rate > MAX_CAMPAIGN_RATE) {
+    return res.status(400).json({
+      success: false,
+      error: `ratePerMinute must be an integer between 1 and ${MAX_CAMPAIGN_RATE}`
+    });
+  }
+
+  if (typeof attachDocument !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'attachDocument must be a boolean' });
+  }
+  if (attachDocument && !documentId) {
+    return res.status(400).json({ success: false, error: 'attachDocument needs a documentId' });
+  }
+
+  let documentName;
+  try {
+    documentName = resolveDocumentName(documentId, req.body.documentName);
+  } catch (err) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+
+  const campaign = createCampaign({
+    name,
+    // The campaign list shows the template's own subject when none was given
+    subject: subject || template.subject,
+    documentId,
+    documentName,
+    templateName: template ? template.name : undefined,
+    totalRecipients: recipients.length,
+    ratePerMinute: rate
+  });
+
+  console.log(`📬 Campaign "${campaign.name}" started: ${recipients.length} recipients at ${rate}/min`);
+
+  runCampaign(campaign, {
+    recipients,
+    // Only the caller's subject is a merge value; a template renders its own
+    subject: subject || undefined,
+    message: message || undefined,
+    senderName: senderName || undefined,
+    documentId,
+    documentName,
+    templateName: template ? template.name : undefined,
+    attachDocument,
+    onProgress: (progress) => broadcastToAdmins({ type: 'CAMPAIGN_PROGRESS', campaign: { ...progress } })
+  }).catch(err => {
+    console.error(`Campaign ${campaign.id} error:`, err.message);
+    sqlDb.prepare("UPDATE campaigns SET status = 'failed', completedAt = ? WHERE id = ?")
+      .run(new Date().toISOString(), campaign.id);
+  });
+
+  res.status(202).json({ success: true, campaign, skipped: errors });
+});
+
+app.get('/api/campaigns', (req, res) => {
+  res.json({ campaigns: getCampaignStats() });
+});
+
+app.get('/api/campaigns/:campaignId', (req, res) => {
+  const [campaign] = getCampaignStats(req.params.campaignId);
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+
+  const emails = sqlDb.prepare(`
+    SELECT
+      e.id AS emailId, e.recipientId, e.recipientEmail, e.recipientName, e.sentAt, e.status,
+      COALESCE(SUM(CASE WHEN ev.type = 'document_opened'     THEN 1 ELSE 0 END), 0) AS openCount,
+      COALESCE(SUM(CASE WHEN ev.type = 'document_downloaded' THEN 1 ELSE 0 END), 0) AS downloadCount,
+      MAX(CASE WHEN ev.type = 'document_opened'              THEN ev.timestamp END)  AS lastOpenAt
+    FROM emails e
+    LEFT JOIN events ev
+      ON ev.documentId = e.documentId
+     AND ev.recipientId = e.recipientId
+    WHERE e.campaignId = ?
+    GROUP BY e.id
+    ORDER BY datetime(e.sentAt) ASC
+  `).all(campaign.id);
+
+  res.json({ success: true, campaign, emails });
+});
+
+// Get all alerts
+app.get('/api/alerts', (req, res) => {
+  const alerts = sqlDb.prepare(
+    'SELECT * FROM alerts ORDER BY createdAt DESC LIMIT 100'
+  ).all();
+
+  const totalAlerts = sqlDb.prepare(
+    'SELECT COUNT(*) as count FROM alerts'
+  ).get().count;
+
+  res.json({ totalAlerts, alerts });
+});
+
+// Get all incidents
+app.get('/api/incidents', (req, res) => {
+  const incidents = sqlDb.prepare(
+    'SELECT * FROM incidents ORDER BY timestamp DESC'
+  ).all();
+
+  const totalIncidents = sqlDb.prepare(
+    'SELECT COUNT(*) as count FROM incidents'
+  ).get().count;
+
+  res.json({ totalIncidents, incidents });
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+  const totalEvents = sqlDb.prepare('SELECT COUNT(*) as count FROM events').get().count;
+  const totalAlerts = sqlDb.prepare('SELECT COUNT(*) as count FROM alerts').get().count;
+  const totalIncidents = sqlDb.prepare('SELECT COUNT(*) as count FROM incidents').get().count;
+
+  res.json({
+    status: 'ok',
+    timestamp: new Date(),
+    stats: {
+      totalEvents,
+      totalAlerts,
+      totalIncidents,
+      connectedAdmins: clients.size,
+      rejectedPayloads
+    }
+  });
+});
+
+// ============================================
+// TRACKER SDK: VERSIONED BUILDS
+// ============================================
+
+// Built once at startup; the release (version + content hash) is part of the
+// URL, so a release can be cached forever and a new build gets a new URL
+const trackerBuild = buildTracker();
+const SDK_CONTENT_TYPES = {
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.ts': 'text/plain; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+function sdkUrl(file) {
+  return `/sdk/${trackerBuild.release}/${file}`;
+}
+
+app.get('/sdk/latest/:file', (req, res) => {
+  if (!trackerBuild.files[req.params.file]) {
+    return res.status(404).json({ success: false, error: 'Unknown SDK file' });
+  }
+  res.set('Cache-Control', 'no-cache');
+  res.redirect(302, sdkUrl(req.params.file));
+});
+
+app.get('/sdk/:release/:file', (req, res) => {
+  const contents = trackerBuild.files[req.params.file];
+  if (!contents) {
+    return res.status(404).json({ success: false, error: 'Unknown SDK file' });
+  }
+  // Old releases are not kept; send them to the current one
+  if (req.params.release !== trackerBuild.release) {
+    res.set('Cache-Control', 'no-cache');
+    return res.redirect(302, sdkUrl(req.params.file));
+  }
+
+  res.set('Content-Type', SDK_CONTENT_TYPES[path.extname(req.params.file)]);
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.send(contents);
+});
+
+// Unversioned source, kept for pages that embedded it before the SDK builds
+app.get('/pdf-client-tracker.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, 'pdf-client-tracker.js'));
+}); 
+
+// Escaping template layer shared with the dashboard's renderers
+app.get('/html-template.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, 'html-template.js'));
+});
+
+// ============================================
+// WEBSOCKET: REAL-TIME DASHBOARD
+// ============================================
+
+wss.on('connection', (ws) => {
+  console.log('👤 Admin connected to dashboard');
+  clients.add(ws);
+
+  const recentEvents = sqlDb.prepare(
+    'SELECT * FROM events ORDER BY timestamp DESC LIMIT 20'
+  ).all();
+
+  const totalEvents = sqlDb.prepare('SELECT COUNT(*) as count FROM events').get().count;
+  const totalAlerts = sqlDb.prepare('SELECT COUNT(*) as count FROM alerts').get().count;
+  const totalIncidents = sqlDb.prepare('SELECT COUNT(*) as count FROM incidents').get().count;
+
+  ws.send(JSON.stringify({
+    type: 'CONNECTED',
+    data: {
+      totalEvents,
+      totalAlerts,
+      totalIncidents,
+      recentEvents
+    }
+  }));
+
+  ws.on('close', () => {
+    console.log('👤 Admin disconnected');
+    clients.delete(ws);
+  });
+
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error);
+    clients.delete(ws);
+  });
+});
+
+// ============================================
+// OTP VERIFICATION (optional viewer gate)
+// ============================================
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_SESSION_MS = 12 * 60 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const OTP_MAX_REQUESTS_PER_HOUR = 5;
+
+function hashOtp(otpId, code) {
+  return crypto.createHmac('sha256', process.env.SECRET_KEY).update(`${otpId}:${code}`).digest('hex');
+}
+
+function otpMatches(otp, code) {
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(otp.id, code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Milliseconds until this recipient may be sent another code (0 = now)
+function otpRequestRetryAfter(documentId, recipientId) {
+  const now = Date.now();
+  const recent = sqlDb.prepare(`
+    SELECT createdAt FROM otp_codes
+    WHERE documentId = ? AND recipientId = ? AND createdAt > ?
+    ORDER BY createdAt ASC
+  `).all(documentId, recipientId, new Date(now - 60 * 60 * 1000).toISOString());
+
+  if (recent.length === 0) return 0;
+
+  const newest = new Date(recent[recent.length - 1].createdAt).getTime();
+  const cooldown = newest + OTP_RESEND_COOLDOWN_MS - now;
+
+  // Hourly cap: wait until the oldest code in the window ages out
+  const oldest = new Date(recent[0].createdAt).getTime();
+  const capped = recent.length >= OTP_MAX_REQUESTS_PER_HOUR
+    ? oldest + 60 * 60 * 1000 - now
+    : 0;
+
+  return Math.max(cooldown, capped, 0);
+}
+
+function getCookie(req, name) {
+  const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function otpCookieName(documentId) {
+  return `vittal_otp_${documentId}`;
+}
+
+// A verified viewer holds an 'otp' scoped token in a cookie
+function isOtpVerified(req, documentId, recipientId) {
+  const session = verifyAccessToken(getCookie(req, otpCookieName(documentId)), 'otp');
+  return session.valid &&
+    session.payload.documentId === documentId &&
+    session.payload.recipientId === recipientId;
+}
+
+function recordOtpFailure(req, { documentId, recipientId, reason, message }) {
+  const ip = getClientIP(req);
+
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    type: 'otp_failed',
+    documentId,
+    recipientId,
+    action: reason,
+    timestamp: new Date().toISOString(),
+    ipAddress: ip,
+    location: getLocationFromIP(ip),
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent'],
+    risk: 'high',
+    unauthorized: true
+  });
+
+  const alert = saveAlert({
+    id: crypto.randomUUID(),
+    type: 'UNAUTHORIZED_ACCESS',
+    severity: 'high',
+    message: `${message} from ${event.location}`,
+    eventId: event.id,
+    documentId,
+    recipientId,
+    requiresAction: 1
+  });
+
+  broadcastToAdmins({ type: 'UNAUTHORIZED_ACCESS', event, alert });
+}
+
+// The OTP page posts the link token back; resolve the recipient from it
+function verifyOtpLink(req, res) {
+  const access = verifyAccessToken(req.body.token);
+  if (!access.valid || access.payload.documentId !== req.params.documentId) {
+    res.status(403).json({ success: false, error: 'Invalid or expired link' });
+    return null;
+  }
+  return access.payload;
+}
+
+// Step 1: recipient confirms their email, a code is mailed to the address on file
+app.post('/documents/:documentId/otp/request', async (req, res) => {
+  const link = verifyOtpLink(req, res);
+  if (!link) return;
+
+  const { documentId, recipientId } = link;
+  const email = String(req.body.email || '').trim().toLowerCase();
+
+  const record = sqlDb.prepare(
+    'SELECT recipientEmail FROM emails WHERE documentId = ? AND recipientId = ?'
+  ).get(documentId, recipientId);
+
+  if (!record) {
+    return res.status(400).json({ success: false, error: 'No email address on file for this link' });
+  }
+
+  if (email !== record.recipientEmail.toLowerCase()) {
+    recordOtpFailure(req, {
+      documentId,
+      recipientId,
+      reason: 'email_mismatch',
+      message: `🚫 Verification requested as ${email || '(no email)'} instead of the intended recipient`
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'This email does not match the intended recipient'
+    });
+  }
+
+  // Throttle per recipient so a leaked link cannot flood their inbox
+  const retryAfter = otpRequestRetryAfter(documentId, recipientId);
+  if (retryAfter > 0) {
+    const seconds = Math.ceil(retryAfter / 1000);
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({
+      success: false,
+      error: `Please wait ${seconds}s before requesting another code`,
+      retryAfter: seconds
+    });
+  }
+
+  const otp = {
+    id: crypto.randomUUID(),
+    documentId,
+    recipientId,
+    expiresAt: new Date(Date.now() + OTP_TTL_MS).toISOString(),
+    createdAt: new Date().toISOString()
+  };
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
 
-  const documentName = name || 'Secure Document';
-  const recipientId = recipient || 'anonymous';
+  // Only the newest code stays valid; older rows are kept for the throttle
+  sqlDb.prepare(
+    'UPDATE otp_codes SET expiresAt = ? WHERE documentId = ? AND recipientId = ? AND verifiedAt IS NULL'
+  ).run(otp.createdAt, documentId, recipientId);
+  sqlDb.prepare(`
+    INSERT INTO otp_codes (id, documentId, recipientId, codeHash, expiresAt, createdAt)
+    VALUES (@id, @documentId, @recipientId, @codeHash, @expiresAt, @createdAt)
+  `).run({ ...otp, codeHash: hashOtp(otp.id, code) });
 
-  res.send(`
+  try {
+    await sendVerificationCode({
+      recipientEmail: record.recipientEmail,
+      code,
+      documentName: getDocument(documentId).name
+    });
+  } catch (err) {
+    console.error('Verification email error:', err.message);
+    return res.status(502).json({ success: false, error: 'Could not send the verification code' });
+  }
+
+  res.json({ success: true, expiresAt: otp.expiresAt });
+});
+
+// Step 2: recipient enters the code and receives a verified session cookie
+app.post('/documents/:documentId/otp/verify', (req, res) => {
+  const link = verifyOtpLink(req, res);
+  if (!link) return;
+
+  const { documentId, recipientId } = link;
+  const code = String(req.body.code || '').trim();
+
+  const otp = sqlDb.prepare(`
+    SELECT * FROM otp_codes
+    WHERE documentId = ? AND recipientId = ? AND verifiedAt IS NULL
+    ORDER BY createdAt DESC LIMIT 1
+  `).get(documentId, recipientId);
+
+  if (!otp || Date.now() > new Date(otp.expiresAt).getTime() || otp.attempts >= OTP_MAX_ATTEMPTS) {
+    return res.status(400).json({ success: false, error: 'Code expired, please request a new one' });
+  }
+
+  if (!otpMatches(otp, code)) {
+    sqlDb.prepare('UPDATE otp_codes SET attempts = attempts + 1 WHERE id = ?').run(otp.id);
+    recordOtpFailure(req, {
+      documentId,
+      recipientId,
+      reason: 'wrong_code',
+      message: `🚫 Wrong verification code entered (attempt ${otp.attempts + 1}/${OTP_MAX_ATTEMPTS})`
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Incorrect code',
+      attemptsLeft: OTP_MAX_ATTEMPTS - otp.attempts - 1
+    });
+  }
+
+  const verifiedAt = new Date().toISOString();
+  sqlDb.prepare('UPDATE otp_codes SET verifiedAt = ? WHERE id = ?').run(verifiedAt, otp.id);
+
+  const ip = getClientIP(req);
+  const event = saveEvent({
+    id: crypto.randomUUID(),
+    type: 'otp_verified',
+    documentId,
+    recipientId,
+    timestamp: verifiedAt,
+    ipAddress: ip,
+    location: getLocationFromIP(ip),
+    device: parseBrowserInfo(req.headers['user-agent']),
+    userAgent: req.headers['user-agent'],
+    risk: 'low'
+  });
+  broadcastToAdmins({ type: 'TRACKING_EVENT', event });
+
+  res.cookie(otpCookieName(documentId), createAccessToken({
+    documentId,
+    recipientId,
+    scope: 'otp',
+    expiresAt: Date.now() + OTP_SESSION_MS
+  }), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: `/documents/${documentId}`,
+    maxAge: OTP_SESSION_MS
+  });
+
+  res.json({ success: true });
+});
+
+function renderOtpPage(documentId, token, documentName) {
+  return html`
 <!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8" />
-  <title>${documentName} - Secure Viewer</title>
+  <title>${documentName} - Verify your email</title>
   <meta name="viewport" content="width=device-width,initial-scale=1" />
   <style>
     body {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
       background: #0f172a;
       color: #e5e7eb;
-      margin: 0;
-      padding: 0;
       display: flex;
       min-height: 100vh;
+      margin: 0;
       justify-content: center;
       align-items: center;
     }
@@ -682,19 +3034,227 @@ app.get('/documents/:documentId', (req, res) => {
       border-radius: 16px;
       padding: 24px 28px;
       box-shadow: 0 20px 40px rgba(0,0,0,0.4);
-      max-width: 640px;
+      max-width: 380px;
       width: 100%;
       border: 1px solid #1e293b;
     }
     h1 {
       margin: 0 0 8px;
-      font-size: 20px;
+      font-size: 18px;
+    }
+    p {
+      font-size: 13px;
+      color: #9ca3af;
+    }
+    input {
+      width: 100%;
+      box-sizing: border-box;
+      background: #0f172a;
+      border: 1px solid #374151;
+      border-radius: 8px;
+      color: #e5e7eb;
+      padding: 8px 10px;
+      font-size: 14px;
+      margin-bottom: 10px;
+    }
+    button {
+      border-radius: 999px;
+      border: none;
+      padding: 8px 16px;
+      font-size: 14px;
+      cursor: pointer;
+      background: #3b82f6;
+      color: white;
+    }
+    .error {
+      color: #fca5a5;
+      min-height: 18px;
+    }
+    [hidden] {
+      display: none;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>🔒 Verify it's you</h1>
+    <p>Enter the email address this document was sent to. We'll email you a 6-digit code.</p>
+
+    <form id="email-form">
+      <input type="email" name="email" placeholder="you@company.com" required autofocus />
+      <button type="submit">Send code</button>
+    </form>
+
+    <form id="code-form" hidden>
+      <input name="code" placeholder="6-digit code" inputmode="numeric" maxlength="6" required />
+      <button type="submit">Verify</button>
+    </form>
+
+    <p class="error" id="error"></p>
+  </div>
+
+  <script>
+    const token = '${token}';
+    const baseUrl = '/documents/${documentId}/otp';
+    const errorEl = document.getElementById('error');
+
+    async function post(path, body) {
+      const res = await fetch(baseUrl + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, ...body })
+      });
+      return res.json();
+    }
+
+    document.getElementById('email-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      errorEl.textContent = '';
+      const data = await post('/request', { email: e.target.email.value });
+      if (!data.success) {
+        errorEl.textContent = data.error;
+        return;
+      }
+      e.target.hidden = true;
+      document.getElementById('code-form').hidden = false;
+    });
+
+    document.getElementById('code-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      errorEl.textContent = '';
+      const data = await post('/verify', { code: e.target.code.value });
+      if (!data.success) {
+        errorEl.textContent = data.error;
+        return;
+      }
+      window.location.reload();
+    });
+  </script>
+</body>
+</html>
+  `.toString();
+}
+
+// ============================================
+// DOCUMENT VIEWER ROUTE
+// ============================================
+
+// Minimal full-page notice (missing document, invalid or expired link)
+function renderViewerNotice(title, message) {
+  return html`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${title}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: #0f172a;
+      color: #e5e7eb;
+      display: flex;
+      min-height: 100vh;
+      margin: 0;
+      justify-content: center;
+      align-items: center;
+    }
+  </style>
+</head>
+<body>
+  <p>${message}</p>
+</body>
+</html>
+  `.toString();
+}
+
+app.get('/documents/:documentId', (req, res) => {
+  const { documentId } = req.params;
+  const { token } = req.query;
+
+  const access = verifyAccessToken(token);
+  const forDocument = Boolean(access.payload) && access.payload.documentId === documentId;
+
+  if (access.reason === 'expired' && forDocument) {
+    return res.status(410).send(renderViewerNotice('Link expired', '⏳ This link has expired.'));
+  }
+  if (!access.valid || !forDocument) {
+    return res.status(403).send(renderViewerNotice('Invalid link', '🔒 This link is invalid.'));
+  }
+
+  const { recipientId } = access.payload;
+  const document = getDocument(documentId);
+
+  if (!document) {
+    return res.status(404).send(
+      renderViewerNotice('Document not found', '📄 This document is not available.')
+    );
+  }
+
+  if (getRevocation(documentId, recipientId)) {
+    recordRevokedAccess(req, { documentId, recipientId, action: 'view' });
+    return res.status(403).send(renderViewerNotice(
+      'Access revoked',
+      '🚫 Your access to this document has been revoked.'
+    ));
+  }
+
+  const policy = getPolicy(documentId);
+  const violation = checkOpenPolicy(policy, recipientId);
+
+  if (violation) {
+    recordPolicyViolation(req, { documentId, recipientId, violation });
+    const message = violation === 'policy_expired'
+      ? '⏳ This link has expired.'
+      : '⏳ This link has reached its maximum number of opens.';
+    return res.status(410).send(renderViewerNotice('Link expired', message));
+  }
+
+  if (policy.requireOtp && !isOtpVerified(req, documentId, recipientId)) {
+    return res.send(renderOtpPage(documentId, token, document.name));
+  }
+
+  const documentName = document.name;
+  const watermark = createWatermark(documentId, recipientId, req);
+  recordServedOpen(req, { documentId, recipientId, watermarkId: watermark.id, via: 'viewer' });
+  const fileUrl = `/documents/${documentId}/file?token=${token}&watermark=${watermark.id}`;
+
+  // Every value below is escaped for where it lands (see html-template.js)
+  res.send(html`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${documentName} - Secure Viewer</title>
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <link rel="stylesheet" href="/vendor/pdfjs/web/pdf_viewer.css" />
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: #0f172a;
+      color: #e5e7eb;
+      margin: 0;
+      padding: 0;
+      display: flex;
+      flex-direction: column;
+      height: 100vh;
+    }
+    .toolbar {
+      background: #020617;
+      border-bottom: 1px solid #1e293b;
+      padding: 12px 20px;
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 16px;
+    }
+    h1 {
+      margin: 0;
+      font-size: 16px;
       color: #e5e7eb;
     }
     .meta {
-      font-size: 12px;
+      font-size: 11px;
       color: #9ca3af;
-      margin-bottom: 16px;
     }
     .badge {
       display: inline-flex;
@@ -705,13 +3265,11 @@ app.get('/documents/:documentId', (req, res) => {
       border-radius: 999px;
       padding: 2px 10px;
       font-size: 11px;
-      margin-bottom: 16px;
+      margin-bottom: 4px;
     }
     .actions {
       display: flex;
-      flex-wrap: wrap;
       gap: 10px;
-      margin-top: 18px;
     }
     button {
       border-radius: 999px;
@@ -723,94 +3281,223 @@ app.get('/documents/:documentId', (req, res) => {
       align-items: center;
       gap: 6px;
     }
-    .btn-primary {
-      background: #3b82f6;
-      color: white;
-    }
     .btn-ghost {
       background: transparent;
       color: #e5e7eb;
       border: 1px solid #374151;
     }
-    .notice {
-      font-size: 12px;
-      color: #9ca3af;
-      margin-top: 16px;
+    .viewer {
+      flex: 1;
+      position: relative;
+      background: #1e293b;
+    }
+    #viewerContainer {
+      position: absolute;
+      inset: 0;
+      overflow: auto;
+    }
+    #print-frame {
+      position: absolute;
+      width: 0;
+      height: 0;
+      border: none;
+      visibility: hidden;
     }
+    .denied {
+      margin: auto;
+      font-size: 16px;
+    }
+    ${policy.allowPrint ? '' : raw('@media print { body { display: none; } }')}
   </style>
 </head>
 <body>
-  <div class="container">
-    <div class="badge">
-      <span>🔒 Secure Viewer Active</span>
+  <div class="toolbar">
+    <div>
+      <div class="badge">
+        <span>🔒 Secure Viewer Active</span>
+      </div>
+      <h1>${documentName}</h1>
+      <div class="meta">
+        Document ID: ${documentId} · Recipient ID: ${recipientId}
+      </div>
     </div>
-    <h1>${documentName}</h1>
-    <div class="meta">
-      Document ID: ${documentId}<br/>
-      Recipient ID: ${recipientId}
-    </div>
-    <p>
-      The actual document content would be embedded here (for example via
-      a PDF viewer or secure iframe).
-    </p>
-    <p>
-      All interactions on this page are being tracked: opens, page views,
-      downloads, prints, and forwards.
-    </p>
     <div class="actions">
-      <button class="btn-primary" onclick="handleOpen()">
-        📄 Open Document
-      </button>
+      ${policy.allowDownload ? html`
       <button class="btn-ghost" onclick="handleDownload()">
         ⬇️ Download
-      </button>
+      </button>` : ''}
+      ${policy.allowPrint ? html`
       <button class="btn-ghost" onclick="handlePrint()">
         🖨️ Print
-      </button>
+      </button>` : ''}
     </div>
-    <div class="notice">
-      ⚠️ For production, replace this placeholder with a real embedded PDF / file
-      viewer and wire the buttons to your actual download/print logic.
+  </div>
+
+  <div class="viewer">
+    <div id="viewerContainer">
+      <div id="viewer" class="pdfViewer"></div>
     </div>
   </div>
 
-  <script src="/pdf-client-tracker.js"></script>
+  <script src="${sdkUrl('pdf-client-tracker.umd.js')}"></script>
   <script>
-    // Initialize tracker with same server URL & IDs used in the email
+    // Initialize tracker with same server URL & IDs used in the email.
+    // The constructor records the document open.
     const tracker = new PDFClientTracker({
       serverUrl: '${SERVER_URL}',
       documentId: '${documentId}',
-      recipientId: '${recipientId}'
-    });
-
-    // Track that the document viewer itself was opened
-    document.addEventListener('DOMContentLoaded', () => {
-      tracker.trackDocumentOpen();
+      recipientId: '${recipientId}',
+      watermarkId: '${watermark.id}',
+      token: '${token}',
+      overlay: ${policy.overlayEnabled ? {
+        lines: [watermark.recipientEmail || recipientId, watermark.ipAddress],
+        opacity: policy.overlayOpacity
+      } : null},
+      onAccessDenied: (reason) => {
+        document.querySelector('.viewer').remove();
+        document.querySelector('.actions').remove();
+        document.body.insertAdjacentHTML('beforeend', reason === 'revoked'
+          ? '<p class="denied">🚫 Your access to this document has been revoked.</p>'
+          : '<p class="denied">⏳ This link has expired.</p>');
+      }
     });
 
-    function handleOpen() {
-      // You would open your real PDF/viewer here
-      tracker.trackPageView(1); // example: first page viewed
-      alert('Document "opened" (demo). Tracking event sent.');
-    }
-
     function handleDownload() {
-      tracker.trackDownload();
-      alert('Download tracked (demo). Wire this to a real file.');
-      // window.location.href = '/path/to/real.pdf';
+      tracker.trackEvent('download', {
+        documentId: '${documentId}',
+        recipientId: '${recipientId}'
+      });
+      window.location.href = '${fileUrl}&download=1';
     }
 
     function handlePrint() {
-      tracker.trackPrint();
-      alert('Print tracked (demo).');
-      // window.print();
+      tracker.trackEvent('print', {
+        documentId: '${documentId}',
+        recipientId: '${recipientId}'
+      });
+      // Print the watermarked file itself (PDF.js only renders visible pages)
+      let frame = document.getElementById('print-frame');
+      if (frame) {
+        frame.contentWindow.print();
+        return;
+      }
+      frame = document.createElement('iframe');
+      frame.id = 'print-frame';
+      frame.src = '${fileUrl}';
+      frame.onload = () => frame.contentWindow.print();
+      document.body.appendChild(frame);
     }
   </script>
+  <script type="module">
+    import * as pdfjsLib from '/vendor/pdfjs/build/pdf.min.mjs';
+
+    // pdf_viewer.mjs reads the core library from the global scope
+    globalThis.pdfjsLib = pdfjsLib;
+    pdfjsLib.GlobalWorkerOptions.workerSrc = '/vendor/pdfjs/build/pdf.worker.min.mjs';
+    const { EventBus, PDFLinkService, PDFViewer } = await import('/vendor/pdfjs/web/pdf_viewer.mjs');
+
+    const eventBus = new EventBus();
+    const linkService = new PDFLinkService({ eventBus });
+    const pdfViewer = new PDFViewer({
+      container: document.getElementById('viewerContainer'),
+      eventBus,
+      linkService
+    });
+    linkService.setViewer(pdfViewer);
+
+    eventBus.on('pagesinit', () => {
+      pdfViewer.currentScaleValue = 'page-width';
+    });
+
+    // Page changes and dwell time are reported from the viewer's event bus
+    tracker.attachPdfViewer(pdfViewer, eventBus);
+
+    const pdfDocument = await pdfjsLib.getDocument({ url: '${fileUrl}' }).promise;
+    pdfViewer.setDocument(pdfDocument);
+    linkService.setDocument(pdfDocument, null);
+  </script>
 </body>
 </html>
-  `);
+  `.toString());
 });
 
+// Stream a watermarked copy of the stored PDF
+// (inline for the viewer, attachment for downloads)
+app.get('/documents/:documentId/file', async (req, res) => {
+  const { documentId } = req.params;
+
+  const access = verifyAccessToken(req.query.token);
+  if (!access.valid || access.payload.documentId !== documentId) {
+    return res.status(403).json({
+      success: false,
+      error: `Invalid access token (${access.reason || 'wrong document'})`
+    });
+  }
+
+  const { recipientId } = access.payload;
+  const document = getDocument(documentId);
+  if (!document) {
+    return res.status(404).json({ success: false, error: 'Document not found' });
+  }
+
+  if (getRevocation(documentId, recipientId)) {
+    recordRevokedAccess(req, { documentId, recipientId, action: 'file' });
+    return res.status(403).json({ success: false, error: 'Access to this document has been revoked' });
+  }
+
+  // A file request with the viewer page's watermark is part of the open that
+  // page already counted; any other request is a new open of its own
+  const viewerWatermark = findViewerWatermark(req.query.watermark, documentId, recipientId);
+
+  const policy = getPolicy(documentId);
+  const openViolation = checkOpenPolicy(policy, recipientId);
+  const violation = openViolation === 'policy_expired' || (openViolation && !viewerWatermark)
+    ? openViolation
+    : (req.query.download && !policy.allowDownload ? 'download_blocked' : null);
+
+  if (violation) {
+    recordPolicyViolation(req, { documentId, recipientId, violation });
+    return res.status(violation === 'download_blocked' ? 403 : 410).json({
+      success: false,
+      error: POLICY_VIOLATION_MESSAGES[violation]
+    });
+  }
+
+  if (policy.requireOtp && !isOtpVerified(req, documentId, recipientId)) {
+    return res.status(403).json({ success: false, error: 'Email verification required' });
+  }
+
+  // Reuse the watermark issued by the viewer page, otherwise issue a new one
+  let watermark = viewerWatermark;
+  if (!watermark) {
+    watermark = createWatermark(documentId, recipientId, req);
+    recordServedOpen(req, { documentId, recipientId, watermarkId: watermark.id, via: 'file' });
+  }
+
+  let pdf;
+  try {
+    pdf = await watermarkPdf(fs.readFileSync(path.join(UPLOAD_DIR, document.fileName)), {
+      watermarkId: watermark.id,
+      recipientLabel: watermark.recipientEmail || recipientId,
+      timestamp: new Date()
+    });
+  } catch (err) {
+    console.error('Watermarking error:', err);
+    return res.status(500).json({ success: false, error: 'Document could not be prepared' });
+  }
+
+  if (req.query.download) {
+    res.attachment(document.name);
+  } else {
+    res.set('Content-Disposition', 'inline');
+  }
+  res.set({
+    'Content-Type': document.mimeType,
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'X-Watermark-Id': watermark.id
+  });
+  res.send(pdf);
+});
 
 // ============================================
 // START SERVER
@@ -829,20 +3516,55 @@ server.listen(PORT, () => {
 📊 Dashboard: http://localhost:${PORT}/dashboard.html
 
 Available Endpoints:
+  GET  /api/documents
+  POST /api/documents
+  PUT  /api/documents/:documentId/policy
+  POST /api/documents/:documentId/recipients/:recipientId/revoke
   POST /api/track/document-open
   POST /api/track/page-view
   POST /api/track/download
   POST /api/track/print
   POST /api/track/forward
   POST /api/track/copy
+  POST /api/track/page-regions
+  POST /api/track/watermark-tampered
+  POST /api/track/screenshot-attempt, devtools-opened, copy-then-blur,
+       select-all, content-dragged
+  POST /api/track/event
+  POST /api/track/batch
+  POST /api/forensics/identify
+  GET  /api/track/click/:linkId
   
   GET  /api/documents/:documentId/events
+  GET  /api/documents/:documentId/sessions
+  GET  /api/documents/:documentId/heatmap
+  GET  /api/documents/:documentId/engagement
   GET  /api/documents/:documentId/tracking-summary
   GET  /api/recipients/:recipientId/events
   GET  /api/alerts
   GET  /api/incidents
   GET  /api/health
+  GET  /api/event-types
+  GET  /api/emails
+  POST /api/emails/send
+  POST /api/campaigns
+  GET  /api/templates
+  PUT  /api/templates/:name
+  POST /api/templates/:name/preview
+  GET  /api/campaigns
+  GET  /api/campaigns/:campaignId
+  PUT  /api/event-types/:name
+
+  GET  /documents/:documentId
+  POST /documents/:documentId/otp/request
+  POST /documents/:documentId/otp/verify
+
+  GET  /sdk/latest/:file
+  GET  /sdk/:release/:file   (tracker SDK ${trackerBuild.release})
   `);
+  if (!process.env.ADMIN_TOKEN) {
+    console.warn('⚠️  ADMIN_TOKEN is not set: admin endpoints (policies, revocation, sending...) are disabled\n');
+  }
 });
 
 module.exports = { app, server, wss, db: sqlDb };
@@ -0,0 +1,104 @@
+/**
+ * ACCESS TOKEN TESTS
+ * Signing, verification, scopes, tampering and expiry of the tokens in
+ * access-token.js (run with: npm test)
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+process.env.SECRET_KEY = 'test-access-token-secret';
+
+const { createAccessToken, verifyAccessToken, createLinkId, verifyLinkId } = require('./access-token');
+
+const CLAIMS = { documentId: 'doc-1', recipientId: 'rcpt-1' };
+
+// Change payload fields but keep the original signature
+function withPayload(token, changes) {
+  const [data, signature] = token.split('.');
+  const payload = { ...JSON.parse(Buffer.from(data, 'base64url').toString('utf8')), ...changes };
+  return `${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${signature}`;
+}
+
+test('a signed link token verifies and carries its claims', () => {
+  const result = verifyAccessToken(createAccessToken(CLAIMS));
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.payload.documentId, 'doc-1');
+  assert.strictEqual(result.payload.recipientId, 'rcpt-1');
+  assert.strictEqual(result.payload.scope, 'link');
+});
+
+test('missing and malformed tokens are rejected', () => {
+  assert.deepStrictEqual(verifyAccessToken(undefined), { valid: false, reason: 'missing' });
+  assert.deepStrictEqual(verifyAccessToken(''), { valid: false, reason: 'missing' });
+  assert.strictEqual(verifyAccessToken('abc').reason, 'malformed');
+  assert.strictEqual(verifyAccessToken(`${createAccessToken(CLAIMS)}.extra`).reason, 'malformed');
+});
+
+test('a token is only valid for the scope it was issued for', () => {
+  const otpToken = createAccessToken({ ...CLAIMS, scope: 'otp' });
+  assert.strictEqual(verifyAccessToken(otpToken, 'otp').valid, true);
+  assert.deepStrictEqual(verifyAccessToken(otpToken), { valid: false, reason: 'malformed' });
+  assert.strictEqual(verifyAccessToken(createAccessToken(CLAIMS), 'otp').valid, false);
+});
+
+test('changing the payload or signature is detected', () => {
+  const token = createAccessToken(CLAIMS);
+  assert.strictEqual(verifyAccessToken(withPayload(token, { recipientId: 'rcpt-2' })).reason, 'tampered');
+  assert.strictEqual(verifyAccessToken(withPayload(token, { exp: Date.now() + 1e12 })).reason, 'tampered');
+
+  const [data, signature] = token.split('.');
+  const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+  assert.strictEqual(verifyAccessToken(`${data}.${flipped}`).reason, 'tampered');
+});
+
+test('a token signed with another secret is rejected', () => {
+  const token = createAccessToken(CLAIMS);
+  process.env.SECRET_KEY = 'another-secret';
+  try {
+    assert.strictEqual(verifyAccessToken(token).reason, 'tampered');
+  } finally {
+    process.env.SECRET_KEY = 'test-access-token-secret';
+  }
+});
+
+test('an expired token is invalid but still names its recipient', () => {
+  const result = verifyAccessToken(createAccessToken({ ...CLAIMS, expiresAt: Date.now() - 1000 }));
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.reason, 'expired');
+  assert.strictEqual(result.payload.recipientId, 'rcpt-1');
+
+  assert.strictEqual(verifyAccessToken(createAccessToken({ ...CLAIMS, expiresAt: Date.now() + 60000 })).valid, true);
+});
+
+test('the default expiry follows ACCESS_TOKEN_TTL_DAYS', () => {
+  process.env.ACCESS_TOKEN_TTL_DAYS = '2';
+  try {
+    const { payload } = verifyAccessToken(createAccessToken(CLAIMS));
+    const days = (payload.exp - Date.now()) / (24 * 60 * 60 * 1000);
+    assert(days > 1.99 && days <= 2, `expected ~2 days, got ${days}`);
+  } finally {
+    delete process.env.ACCESS_TOKEN_TTL_DAYS;
+  }
+});
+
+test('signing without SECRET_KEY throws', () => {
+  delete process.env.SECRET_KEY;
+  try {
+    assert.throws(() => createAccessToken(CLAIMS), /SECRET_KEY is not set/);
+  } finally {
+    process.env.SECRET_KEY = 'test-access-token-secret';
+  }
+});
+
+test('click link ids verify, never expire and are not access tokens', () => {
+  const linkId = createLinkId({ ...CLAIMS, url: 'https://example.com/a' });
+  const result = verifyLinkId(linkId);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.payload.url, 'https://example.com/a');
+
+  assert.strictEqual(verifyAccessToken(linkId).valid, false);
+  assert.strictEqual(verifyLinkId(createAccessToken(CLAIMS)).valid, false);
+  assert.strictEqual(verifyLinkId(withPayload(linkId, { url: 'https://evil.example' })).reason, 'tampered');
+  assert.strictEqual(verifyLinkId(createLinkId({ ...CLAIMS, url: 'javascript:alert(1)' })).reason, 'malformed');
+});
@@ -0,0 +1,86 @@
+/**
+ * EMAIL OPEN COUNT TESTS
+ * Boots the server on a throwaway database, fetches the tracking pixel as a
+ * reader, an image proxy, a prefetcher and a scanner, and checks which hits
+ * /api/emails counts as opens (run with: npm test)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vittal-opens-'));
+process.env.SECRET_KEY = 'test-opens-secret';
+process.env.DB_PATH = path.join(tmpDir, 'tracking.db');
+process.env.UPLOAD_DIR = path.join(tmpDir, 'uploads');
+process.env.PORT = '0';
+
+const { server, wss, db } = require('./server');
+const { createAccessToken } = require('./access-token');
+
+const DOCUMENT_ID = 'doc-opens';
+const RECIPIENT_ID = 'rcpt-opens';
+const EMAIL_ID = 'email-opens';
+const token = createAccessToken({ documentId: DOCUMENT_ID, recipientId: RECIPIENT_ID });
+
+const READER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const GMAIL_PROXY_UA = 'Mozilla/5.0 (Windows NT 5.1; rv:11.0) Gecko Firefox/11.0 (via ggpht.com GoogleImageProxy)';
+
+db.prepare(`
+  INSERT INTO emails (id, documentId, recipientId, recipientEmail, recipientName, subject, documentName, sentAt)
+  VALUES (?, ?, ?, 'reader@example.com', 'Reader', 'Q3 deck', 'Deck', ?)
+`).run(EMAIL_ID, DOCUMENT_ID, RECIPIENT_ID, new Date(Date.now() - 60 * 60 * 1000).toISOString());
+
+after(() => {
+  wss.close();
+  server.close();
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function request(pathname, headers = {}) {
+  if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+  return fetch(`http://127.0.0.1:${server.address().port}${pathname}`, { headers });
+}
+
+async function fetchPixel(userAgent) {
+  const res = await request(`/api/track/pixel/${DOCUMENT_ID}/${RECIPIENT_ID}?token=${token}`, { 'User-Agent': userAgent });
+  assert.strictEqual(res.status, 200);
+  await res.arrayBuffer();
+}
+
+async function emailSummary(query = '') {
+  const res = await request(`/api/emails${query}`);
+  const { emails } = await res.json();
+  return emails.find(e => e.emailId === EMAIL_ID);
+}
+
+// Runs in order: each test adds one hit on top of the previous ones
+
+test('a reader fetching the pixel counts as an open', async () => {
+  await fetchPixel(READER_UA);
+  const summary = await emailSummary();
+  assert.strictEqual(summary.emailOpenCount, 1);
+  assert.strictEqual(summary.machineOpenCount, 0);
+});
+
+test('an image proxy hit counts as an open', async () => {
+  await fetchPixel(GMAIL_PROXY_UA);
+  const summary = await emailSummary();
+  assert.strictEqual(summary.emailOpenCount, 2);
+  assert.strictEqual(summary.machineOpenCount, 0);
+});
+
+test('prefetch and scanner hits are not opens unless includeMachineOpens is set', async () => {
+  await fetchPixel('Mozilla/5.0');
+  await fetchPixel('curl/8.4.0');
+
+  const summary = await emailSummary();
+  assert.strictEqual(summary.emailOpenCount, 2);
+  assert.strictEqual(summary.machineOpenCount, 2);
+
+  const withMachines = await emailSummary('?includeMachineOpens=true');
+  assert.strictEqual(withMachines.emailOpenCount, 4);
+});
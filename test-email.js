@@ -3,6 +3,7 @@
  * Demonstrates email and document tracking capabilities
  */
 
+require('dotenv').config();
 const EmailTracker = require('./email-tracker');
 const http = require('http');
 const fs = require('fs');
@@ -85,7 +86,7 @@ async function sendTrackingRequest(endpoint, method = 'POST', data = {}) {
 async function simulateEmailOpen(documentId, recipientId) {
   log(`\n📧 Simulating email open...`, 'cyan');
   
-  const pixelUrl = `/api/track/pixel/${documentId}/${recipientId}?action=opened&ts=${Date.now()}`;
+  const pixelUrl = tracker.createTrackingPixel(documentId, recipientId);
   
   await sendTrackingRequest(pixelUrl, 'GET');
   log(`✅ Email opened - Tracking pixel loaded`, 'green');
@@ -97,6 +98,7 @@ async function simulateDocumentOpen(documentId, recipientId) {
   const response = await sendTrackingRequest('/api/track/document-open', 'POST', {
     documentId,
     recipientId,
+    token: tracker.createAccessToken(documentId, recipientId),
     watermarkId: `watermark_${documentId.substring(0, 8)}`
   });
   
@@ -110,6 +112,7 @@ async function simulatePageViews(documentId, recipientId, numPages = 5) {
     await sendTrackingRequest('/api/track/page-view', 'POST', {
       documentId,
       recipientId,
+      token: tracker.createAccessToken(documentId, recipientId),
       pageNumber: page,
       timeSpent: Math.floor(Math.random() * 30000) + 5000 // 5-35 seconds
     });
@@ -126,7 +129,8 @@ async function simulateDownload(documentId, recipientId) {
   
   const response = await sendTrackingRequest('/api/track/download', 'POST', {
     documentId,
-    recipientId
+    recipientId,
+    token: tracker.createAccessToken(documentId, recipientId)
   });
   
   log(`⚠️  ALERT: Download detected! Alert created`, 'red');
@@ -137,7 +141,8 @@ async function simulatePrint(documentId, recipientId) {
   
   const response = await sendTrackingRequest('/api/track/print', 'POST', {
     documentId,
-    recipientId
+    recipientId,
+    token: tracker.createAccessToken(documentId, recipientId)
   });
   
   log(`🚨 CRITICAL ALERT: Print detected! Physical leak possible!`, 'red');
@@ -149,6 +154,7 @@ async function simulateForwarding(documentId, recipientId) {
   const response = await sendTrackingRequest('/api/track/forward', 'POST', {
     documentId,
     recipientId,
+    token: tracker.createAccessToken(documentId, recipientId),
     forwardedTo: 'unauthorized@external.com'
   });
   
@@ -160,7 +166,8 @@ async function simulateCopy(documentId, recipientId) {
   
   await sendTrackingRequest('/api/track/copy', 'POST', {
     documentId,
-    recipientId
+    recipientId,
+    token: tracker.createAccessToken(documentId, recipientId)
   });
   
   log(`⚠️  Copy detected - Content may be extracted`, 'yellow');
@@ -0,0 +1,200 @@
+/**
+ * ESCAPING REGRESSION TESTS
+ * Feeds hostile recipient names, document names, messages and ids through the
+ * html`` layer and the email / viewer generators (run with: npm test)
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test-escaping-secret';
+
+const { html, raw, escapeJsString, jsValue, sanitizeUrl, BLOCKED_URL } = require('./html-template');
+const { renderTemplate, validateTemplate } = require('./email-templates');
+const EmailTracker = require('./email-tracker');
+const { verifyAccessToken } = require('./access-token');
+
+const SCRIPT_BREAKOUT = '</script><script>alert(1)</script>';
+const IMG_ONERROR = '"><img src=x onerror=alert(1)>';
+const QUOTES = `it's "quoted" \`back\` \${alert(1)}`;
+const LINE_SEPARATOR = 'a\u2028b\u2029c';
+
+// Source of the nth inline <script> block of a page
+function inlineScript(page, index = 0) {
+  return [...page.matchAll(/<script>([\s\S]*?)<\/script>/gi)][index][1];
+}
+
+// ============================================
+// html`` CONTEXTS
+// ============================================
+
+test('text content is HTML-escaped', () => {
+  const out = html`<p>${IMG_ONERROR}</p>`.toString();
+  assert.strictEqual(out, '<p>&quot;&gt;&lt;img src=x onerror=alert(1)&gt;</p>');
+});
+
+test('quoted attributes cannot be broken out of', () => {
+  const out = html`<a title="${IMG_ONERROR}" data-x='${QUOTES}'>x</a>`.toString();
+  assert(!out.includes('"><img'));
+  assert(!/data-x='[^']*'[^ >]/.test(out));
+  assert(out.includes('title="&quot;&gt;&lt;img'));
+});
+
+test('URL attributes block javascript: and data: URLs', () => {
+  for (const url of ['javascript:alert(1)', ' JavaScript:alert(1)', 'java\tscript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:x']) {
+    const out = html`<a href="${url}">x</a>`.toString();
+    assert.strictEqual(out, `<a href="${BLOCKED_URL}">x</a>`, url);
+  }
+  assert.strictEqual(sanitizeUrl('https://example.com/?a=1&b=2'), 'https://example.com/?a=1&b=2');
+  assert.strictEqual(html`<a href="${'https://example.com/?a=1&b=2'}">x</a>`.toString(),
+    '<a href="https://example.com/?a=1&amp;b=2">x</a>');
+  assert.strictEqual(sanitizeUrl('/documents/abc?token=x'), '/documents/abc?token=x');
+});
+
+test('unsafe attribute positions throw', () => {
+  assert.throws(() => html`<a href=${'x'}>x</a>`, /Unquoted attribute/);
+  assert.throws(() => html`<div onclick="${'x'}"></div>`, /onclick/);
+  assert.throws(() => html`<div style="${'x'}"></div>`, /style/);
+  assert.throws(() => html`<${'img'} src="x">`, /raw\(\)/);
+});
+
+test('JS strings in inline scripts survive every breakout', () => {
+  for (const hostile of [SCRIPT_BREAKOUT, QUOTES, LINE_SEPARATOR, 'a\\', 'x\ny']) {
+    const page = html`<script>var single = '${hostile}'; var double = "${hostile}"; var tpl = \`${hostile}\`;</script>`.toString();
+    assert.strictEqual((page.match(/<\/script/gi) || []).length, 1, hostile);
+    const values = new Function(`${inlineScript(page)}; return [single, double, tpl];`)();
+    assert.deepStrictEqual(values, [hostile, hostile, hostile]);
+  }
+  assert(!escapeJsString('${x}').includes('${'));
+});
+
+test('bare script values are serialized as JSON', () => {
+  const value = { name: SCRIPT_BREAKOUT, lines: [LINE_SEPARATOR], id: null };
+  const page = html`<script>var config = ${value};</script>`.toString();
+  assert.strictEqual((page.match(/<\/script/gi) || []).length, 1);
+  assert.deepStrictEqual(new Function(`${inlineScript(page)}; return config;`)(), value);
+  assert.strictEqual(jsValue(undefined), 'null');
+});
+
+test('interpolating into a script comment throws', () => {
+  assert.throws(() => html`<script>// ${'x'}\n</script>`, /comment/);
+  assert.throws(() => html`<script>/* ${'x'} */</script>`, /comment/);
+});
+
+test('raw() and nested html`` are inserted as-is, style needs raw()', () => {
+  assert.strictEqual(html`<div>${raw('<b>ok</b>')}${html`<i>${'<x>'}</i>`}</div>`.toString(),
+    '<div><b>ok</b><i>&lt;x&gt;</i></div>');
+  assert.throws(() => html`<style>${'body{}'}</style>`, /style/);
+  assert.strictEqual(html`<style>${raw('body{}')}</style>`.toString(), '<style>body{}</style>');
+});
+
+// ============================================
+// EMAIL GENERATORS
+// ============================================
+
+const tracker = new EmailTracker('https://track.example.com');
+
+test('generateEmailHTML escapes names, subject and message', () => {
+  const { html: email } = tracker.generateEmailHTML({
+    recipientEmail: 'victim@example.com',
+    recipientName: IMG_ONERROR,
+    subject: '</title><script>alert(1)</script>',
+    documentName: IMG_ONERROR,
+    message: `${SCRIPT_BREAKOUT}\nSee https://example.com/report?a=1&b=2`,
+    senderName: '<b>boss</b>'
+  });
+
+  assert(!email.includes('<img src=x'));
+  assert(!email.includes('<script>'));
+  assert(!email.includes('<b>boss</b>'));
+  assert(email.includes('&lt;/script&gt;&lt;script&gt;alert(1)&lt;/script&gt;<br>'));
+  // The bare URL is still linked through a click-tracked redirect
+  assert(/<a href="https:\/\/track\.example\.com\/api\/track\/click\/[^"]+">https:\/\/example\.com\/report\?a=1&amp;b=2<\/a>/.test(email));
+});
+
+test('generatePlainText keeps the message as plain text', () => {
+  const text = tracker.generatePlainText({
+    recipientEmail: 'victim@example.com',
+    recipientName: 'Tom & Jerry',
+    message: 'Revenue < costs',
+    documentLink: 'https://track.example.com/documents/x'
+  });
+  assert(text.includes('Hello Tom & Jerry,'));
+  assert(text.includes('Revenue < costs'));
+});
+
+test('quoted and bracketed URLs are tracked without the escaped delimiters', () => {
+  const message = `See "https://example.com/page", 'https://example.org/x?a=1&b=2' and <https://example.net/y>.`;
+  const email = tracker.generateEmailHTML({ recipientEmail: 'victim@example.com', message });
+
+  assert.deepStrictEqual(email.links.map(l => l.url),
+    ['https://example.com/page', 'https://example.org/x?a=1&b=2', 'https://example.net/y']);
+  assert(email.html.includes('&quot;<a href="https://track.example.com/api/track/click/'));
+  assert(email.html.includes('">https://example.com/page</a>&quot;,'));
+  assert(email.html.includes('">https://example.net/y</a>&gt;.'));
+
+  // The plain-text part finds the same URLs and tracks every one of them
+  const text = tracker.generatePlainText({ recipientEmail: 'victim@example.com', message, links: email.links });
+  for (const link of email.links) {
+    assert(text.includes(link.clickUrl), link.url);
+    assert(!text.includes(link.url), link.url);
+  }
+});
+
+test('generateTrackedDocumentPage escapes the document name and ids', () => {
+  const page = tracker.generateTrackedDocumentPage(
+    `doc'${SCRIPT_BREAKOUT}`,
+    `rcpt"${LINE_SEPARATOR}`,
+    'javascript:alert(1)',
+    IMG_ONERROR,
+    SCRIPT_BREAKOUT
+  );
+
+  assert(!page.includes('<img src=x'));
+  assert.strictEqual((page.match(/<script/gi) || []).length, 2);
+  assert(page.includes(`<iframe src="${BLOCKED_URL}"`));
+
+  // Run the inline script against stubs to read back what the tracker was given
+  let config = null;
+  new Function('PDFClientTracker', 'document', inlineScript(page))(
+    function (options) { config = options; },
+    { getElementById: () => ({ addEventListener: () => {} }), addEventListener: () => {} }
+  );
+  assert.strictEqual(config.documentId, `doc'${SCRIPT_BREAKOUT}`);
+  assert.strictEqual(config.recipientId, `rcpt"${LINE_SEPARATOR}`);
+  assert.strictEqual(config.watermarkId, SCRIPT_BREAKOUT);
+  // Tracking requests are rejected without a token for this recipient
+  const access = verifyAccessToken(config.token);
+  assert(access.valid);
+  assert.strictEqual(access.payload.recipientId, `rcpt"${LINE_SEPARATOR}`);
+});
+
+// ============================================
+// STORED TEMPLATES
+// ============================================
+
+test('stored templates escape {{fields}} by context', () => {
+  const template = {
+    subject: 'Hi {{recipientName}}\r\nBcc: x@example.com',
+    html: '<p title="{{recipientName}}">{{recipientName}}</p><a href="{{documentLink}}">open</a><script>var id = "{{documentId}}";</script>{{{footer}}}'
+  };
+  const rendered = renderTemplate(template, {
+    recipientName: IMG_ONERROR,
+    documentLink: 'javascript:alert(1)',
+    documentId: SCRIPT_BREAKOUT,
+    footer: '<hr>'
+  });
+
+  assert(!rendered.subject.includes('\n'));
+  assert(!rendered.html.includes('<img src=x'));
+  assert(rendered.html.includes(`href="${BLOCKED_URL}"`));
+  assert.strictEqual((rendered.html.match(/<\/script/gi) || []).length, 1);
+  assert(rendered.html.endsWith('<hr>'));
+});
+
+test('validateTemplate rejects placeholders that cannot be escaped', () => {
+  assert.match(validateTemplate({ subject: 'x', html: '<a onclick="{{documentLink}}">x</a>' }), /onclick/);
+  assert.match(validateTemplate({ subject: 'x', html: '<a href={{documentLink}}>x</a>' }), /Unquoted/);
+  assert.strictEqual(validateTemplate({ subject: 'x', html: '<a href="{{documentLink}}">{{recipientName}}</a>' }), null);
+});
+
@@ -0,0 +1,153 @@
+/**
+ * PIXEL CLASSIFIER TESTS
+ * User agent rules, source IP ranges and the post-send timing window that
+ * separate real opens from proxies, prefetches and scanners (run with: npm test)
+ */
+
+const assert = require('assert');
+const { test } = require('node:test');
+
+const { classifyPixelHit, isMachineHit, isCountedOpen } = require('./pixel-classifier');
+
+const DESKTOP_UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15';
+const READER_IP = '203.0.113.5';
+const SENT_AT = '2024-05-01T12:00:00.000Z';
+const AN_HOUR_LATER = '2024-05-01T13:00:00.000Z';
+
+function classify(hit) {
+  return classifyPixelHit({ userAgent: DESKTOP_UA, ipAddress: READER_IP, sentAt: SENT_AT, timestamp: AN_HOUR_LATER, ...hit });
+}
+
+// ============================================
+// USER AGENT RULES
+// ============================================
+
+test('a browser fetch long after sending is human', () => {
+  assert.deepStrictEqual(classify({}), { classification: 'human', reason: 'no machine signals' });
+});
+
+test('a missing user agent is a scanner', () => {
+  for (const userAgent of [undefined, '', '   ']) {
+    assert.deepStrictEqual(classify({ userAgent }), { classification: 'scanner', reason: 'ua:missing' });
+  }
+});
+
+test('mail image proxies are classified as proxy', () => {
+  const cases = {
+    'Mozilla/5.0 (Windows NT 5.1; rv:11.0) Gecko Firefox/11.0 (via ggpht.com GoogleImageProxy)': 'ua:Gmail image proxy',
+    'YahooMailProxy; https://help.yahoo.com/kb/yahoo-mail-proxy-SLN28749.html': 'ua:Yahoo Mail proxy'
+  };
+  for (const [userAgent, reason] of Object.entries(cases)) {
+    assert.deepStrictEqual(classify({ userAgent }), { classification: 'proxy', reason });
+  }
+});
+
+test('security gateways, bots, headless browsers and HTTP libraries are scanners', () => {
+  const cases = {
+    'Mozilla/5.0 Proofpoint URL Defense': 'ua:mail security gateway',
+    'Mimecast-Scanner/1.0': 'ua:mail security gateway',
+    'Mozilla/5.0 (compatible; Googlebot/2.1)': 'ua:bot',
+    'Slack link preview': 'ua:bot',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 HeadlessChrome/120.0 Safari/537.36': 'ua:headless browser',
+    'curl/8.4.0': 'ua:HTTP library',
+    'python-requests/2.31': 'ua:HTTP library',
+    'Go-http-client/1.1': 'ua:HTTP library'
+  };
+  for (const [userAgent, reason] of Object.entries(cases)) {
+    assert.deepStrictEqual(classify({ userAgent }), { classification: 'scanner', reason }, userAgent);
+  }
+});
+
+test('scanner user agents win over proxy user agents and IP ranges', () => {
+  assert.strictEqual(classify({ userAgent: 'GoogleImageProxy crawler' }).classification, 'scanner');
+  assert.strictEqual(classify({ userAgent: 'curl/8.4.0', ipAddress: '17.1.2.3' }).reason, 'ua:HTTP library');
+});
+
+test('a bare Mozilla/5.0 is an Apple prefetch', () => {
+  assert.deepStrictEqual(classify({ userAgent: 'Mozilla/5.0' }), { classification: 'prefetch', reason: 'ua:bare Mozilla/5.0' });
+  assert.strictEqual(classify({ userAgent: 'Mozilla/5.0 (iPhone)' }).classification, 'human');
+});
+
+// ============================================
+// IP RANGES
+// ============================================
+
+test('IPv4 CIDR ranges map to their classification', () => {
+  const cases = {
+    '17.0.0.1': ['prefetch', 'ip:Apple'],
+    '17.255.255.255': ['prefetch', 'ip:Apple'],
+    '66.102.15.255': ['proxy', 'ip:Google'],
+    '74.125.200.1': ['proxy', 'ip:Google'],
+    '40.92.0.1': ['scanner', 'ip:Microsoft EOP'],
+    '40.93.255.254': ['scanner', 'ip:Microsoft EOP'],
+    '104.47.127.1': ['scanner', 'ip:Microsoft EOP']
+  };
+  for (const [ipAddress, [classification, reason]] of Object.entries(cases)) {
+    assert.deepStrictEqual(classify({ ipAddress }), { classification, reason }, ipAddress);
+  }
+});
+
+test('addresses just outside a range are not matched', () => {
+  for (const ipAddress of ['16.255.255.255', '18.0.0.0', '66.102.16.0', '40.94.0.1', '104.47.128.1']) {
+    assert.strictEqual(classify({ ipAddress }).classification, 'human', ipAddress);
+  }
+});
+
+test('IPv4-mapped IPv6 and Apple IPv6 prefixes are recognised', () => {
+  assert.strictEqual(classify({ ipAddress: '::ffff:17.58.1.2' }).classification, 'prefetch');
+  assert.strictEqual(classify({ ipAddress: '2A01:B740:0:1::5' }).classification, 'prefetch');
+  assert.strictEqual(classify({ ipAddress: '2001:db8::1' }).classification, 'human');
+});
+
+test('malformed or missing IPs fall through to the other signals', () => {
+  for (const ipAddress of [undefined, 'unknown', '17.0.0', '17.0.0.256', 'not.an.ip.addr']) {
+    assert.strictEqual(classify({ ipAddress }).classification, 'human', String(ipAddress));
+  }
+});
+
+// ============================================
+// TIMING WINDOW
+// ============================================
+
+test('a fetch within 10s of sending is a scanner', () => {
+  const sent = new Date(SENT_AT).getTime();
+
+  assert.deepStrictEqual(classify({ timestamp: sent }), { classification: 'scanner', reason: 'timing:0s after send' });
+  assert.deepStrictEqual(classify({ timestamp: sent + 4000 }), { classification: 'scanner', reason: 'timing:4s after send' });
+  assert.strictEqual(classify({ timestamp: sent + 9999 }).classification, 'scanner');
+  assert.strictEqual(classify({ timestamp: sent + 10000 }).classification, 'human');
+});
+
+test('a fetch timestamped before the send is not treated as a scanner', () => {
+  assert.strictEqual(classify({ timestamp: new Date(SENT_AT).getTime() - 1000 }).classification, 'human');
+});
+
+test('SQLite CURRENT_TIMESTAMP send times are read as UTC', () => {
+  assert.strictEqual(classify({ sentAt: '2024-05-01 12:00:00', timestamp: '2024-05-01T12:00:05Z' }).classification, 'scanner');
+  assert.strictEqual(classify({ sentAt: '2024-05-01 12:00:00', timestamp: '2024-05-01T12:00:30Z' }).classification, 'human');
+});
+
+test('an unknown send time skips the timing rule', () => {
+  assert.strictEqual(classify({ sentAt: null, timestamp: Date.now() }).classification, 'human');
+});
+
+// ============================================
+// STORED EVENTS
+// ============================================
+
+test('isMachineHit treats unclassified events as human', () => {
+  assert.strictEqual(isMachineHit({ classification: 'scanner' }), true);
+  assert.strictEqual(isMachineHit({ classification: 'proxy' }), true);
+  assert.strictEqual(isMachineHit({ classification: 'prefetch' }), true);
+  assert.strictEqual(isMachineHit({ classification: 'human' }), false);
+  assert.strictEqual(isMachineHit({ classification: null }), false);
+  assert.strictEqual(isMachineHit({}), false);
+});
+
+test('isCountedOpen counts human and image proxy hits only', () => {
+  assert.strictEqual(isCountedOpen({ classification: 'human' }), true);
+  assert.strictEqual(isCountedOpen({ classification: 'proxy' }), true);
+  assert.strictEqual(isCountedOpen({ classification: null }), true);
+  assert.strictEqual(isCountedOpen({ classification: 'prefetch' }), false);
+  assert.strictEqual(isCountedOpen({ classification: 'scanner' }), false);
+});
@@ -0,0 +1,198 @@
+/**
+ * TRACKING BATCH TESTS
+ * Boots the server on a throwaway database and posts queued client events to
+ * /api/track/batch: retries, schema rejections and unknown types (run with: npm test)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vittal-batch-'));
+process.env.SECRET_KEY = 'test-batch-secret';
+process.env.DB_PATH = path.join(tmpDir, 'tracking.db');
+process.env.UPLOAD_DIR = path.join(tmpDir, 'uploads');
+process.env.PORT = '0';
+
+const { server, wss, db } = require('./server');
+const { createAccessToken } = require('./access-token');
+
+const DOCUMENT_ID = 'doc-batch';
+const RECIPIENT_ID = 'rcpt-batch';
+const token = createAccessToken({ documentId: DOCUMENT_ID, recipientId: RECIPIENT_ID });
+
+after(() => {
+  wss.close();
+  server.close();
+  db.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function postBatch(body) {
+  if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/track/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function countEvents(clientEventId) {
+  return db.prepare('SELECT COUNT(*) AS count FROM events WHERE recipientId = ? AND clientEventId = ?')
+    .get(RECIPIENT_ID, clientEventId).count;
+}
+
+// ============================================
+// CLIENT EVENT DEDUPE
+// ============================================
+
+test('a retried event is stored once and reported as duplicate', async () => {
+  const events = [{ id: 'evt-page-1', type: 'page-view', pageNumber: 1, timeSpent: 1200 }];
+
+  const first = await postBatch({ token, events });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.accepted, 1);
+  assert.deepStrictEqual(first.body.results, [{ id: 'evt-page-1', status: 'accepted' }]);
+
+  const retry = await postBatch({ token, events });
+  assert.strictEqual(retry.status, 200);
+  assert.strictEqual(retry.body.accepted, 0);
+  assert.deepStrictEqual(retry.body.results, [{ id: 'evt-page-1', status: 'duplicate' }]);
+
+  assert.strictEqual(countEvents('evt-page-1'), 1);
+});
+
+test('the same id twice in one batch is stored once', async () => {
+  const event = { id: 'evt-page-2', type: 'page-view', pageNumber: 2 };
+  const { body } = await postBatch({ token, events: [event, event] });
+
+  assert.deepStrictEqual(body.results.map(r => r.status), ['accepted', 'duplicate']);
+  assert.strictEqual(countEvents('evt-page-2'), 1);
+});
+
+test('the SDK beacon is sent as text/plain and accepted by the batch endpoint', async () => {
+  const PDFClientTracker = require('./pdf-client-tracker');
+  let beacon = null;
+  global.navigator = { sendBeacon: (url, data) => { beacon = { url, data }; return true; } };
+  try {
+    const body = JSON.stringify({ token, events: [{ id: 'evt-beacon', type: 'page-view', pageNumber: 5 }] });
+    await PDFClientTracker.fetchTransport.send('/api/track/batch', body, { beacon: true });
+  } finally {
+    delete global.navigator;
+  }
+
+  assert.strictEqual(beacon.data.type, 'text/plain;charset=utf-8');
+
+  if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+  const res = await fetch(`http://127.0.0.1:${server.address().port}${beacon.url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': beacon.data.type },
+    body: await beacon.data.text()
+  });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(countEvents('evt-beacon'), 1);
+});
+
+// ============================================
+// SCHEMA REJECTION
+// ============================================
+
+test('a malformed batch is rejected as a whole', async () => {
+  for (const body of [{ token }, { token, events: [] }, { token, events: 'x' }]) {
+    const res = await postBatch(body);
+    assert.strictEqual(res.status, 400, JSON.stringify(body));
+    assert.strictEqual(res.body.success, false);
+    assert.strictEqual(res.body.reason, 'validation_failed');
+    assert(res.body.details.some(d => d.field === 'events'));
+  }
+});
+
+test('an invalid event is rejected without dropping the rest of the batch', async () => {
+  const { status, body } = await postBatch({
+    token,
+    events: [
+      { id: 'evt-bad-page', type: 'page-view', pageNumber: 0 },
+      { id: 'evt-bad-time', type: 'page-view', pageNumber: 1, timeSpent: 'long' },
+      { id: 'evt-huge-page', type: 'page-view', pageNumber: 1e9 },
+      { id: 'evt-good', type: 'page-view', pageNumber: 3 }
+    ]
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.accepted, 1);
+  const [badPage, badTime, hugePage, good] = body.results;
+  assert.strictEqual(badPage.status, 'rejected');
+  assert(badPage.details.some(d => d.field === 'pageNumber'));
+  assert.strictEqual(hugePage.status, 'rejected');
+  assert(hugePage.details.some(d => d.field === 'pageNumber'));
+  assert.strictEqual(badTime.status, 'rejected');
+  assert(badTime.details.some(d => d.field === 'timeSpent'));
+  assert.strictEqual(good.status, 'accepted');
+
+  assert.strictEqual(countEvents('evt-bad-page'), 0);
+  assert.strictEqual(countEvents('evt-bad-time'), 0);
+});
+
+test('a batch without a valid token is rejected', async () => {
+  const { status, body } = await postBatch({
+    token: token.slice(0, -2) + 'xx',
+    events: [{ id: 'evt-forged', type: 'page-view', pageNumber: 1 }]
+  });
+
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.reason, 'invalid_token');
+  assert.strictEqual(countEvents('evt-forged'), 0);
+});
+
+test('region rows for a document without a page count are not stored', async () => {
+  const bands = Array(10).fill(0);
+  bands[3] = 2000;
+  const { body } = await postBatch({
+    token,
+    events: [{ id: 'evt-regions', type: 'page-regions', regions: [{ pageNumber: 9999, bands }] }]
+  });
+
+  assert.deepStrictEqual(body.results, [{ id: 'evt-regions', status: 'accepted' }]);
+  const rows = db.prepare('SELECT COUNT(*) AS count FROM heatmap_regions WHERE documentId = ?').get(DOCUMENT_ID);
+  assert.strictEqual(rows.count, 0);
+});
+
+// ============================================
+// UNKNOWN EVENT TYPES
+// ============================================
+
+test('unknown event types are rejected per event', async () => {
+  const { body } = await postBatch({
+    token,
+    events: [
+      { id: 'evt-unknown', type: 'not-a-real-event' },
+      { id: 'evt-proto', type: '__proto__' },
+      'not an object',
+      { id: 'evt-ok', type: 'page-view', pageNumber: 4 }
+    ]
+  });
+
+  assert.deepStrictEqual(body.results.map(r => r.status), ['rejected', 'rejected', 'rejected', 'accepted']);
+  assert.strictEqual(body.results[0].error, 'Unknown event type');
+  assert.strictEqual(body.results[0].id, 'evt-unknown');
+  assert.strictEqual(body.results[2].id, null);
+  assert.strictEqual(countEvents('evt-unknown'), 0);
+});
+
+test('registered custom event types are accepted in a batch', async () => {
+  db.prepare(`
+    INSERT INTO event_types (name, description, risk, raisesAlert)
+    VALUES ('clause_viewed', 'Recipient expanded a contract clause', 'low', 0)
+  `).run();
+
+  const { body } = await postBatch({
+    token,
+    events: [{ id: 'evt-custom', type: 'clause_viewed', action: 'section 4' }]
+  });
+
+  assert.deepStrictEqual(body.results, [{ id: 'evt-custom', status: 'accepted' }]);
+  assert.strictEqual(countEvents('evt-custom'), 1);
+});
@@ -0,0 +1,191 @@
+/**
+ * TRACKING PAYLOAD SCHEMAS
+ * Declared shape of every client tracker payload, checked before anything
+ * reaches saveEvent. Unknown fields are ignored; declared ones must match.
+ */
+
+// Sent with every payload by PDFClientTracker (identity comes from the token)
+const COMMON_FIELDS = {
+  id: { type: 'string', maxLength: 64 },
+  type: { type: 'string', maxLength: 50 },
+  token: { type: 'string', maxLength: 2048 },
+  documentId: { type: 'string', maxLength: 200 },
+  recipientId: { type: 'string', maxLength: 200 },
+  watermarkId: { type: 'string', maxLength: 32 },
+  sessionId: { type: 'string', maxLength: 64 },
+  pagePath: { type: 'string', maxLength: 512 },
+  activeTime: { type: 'number', min: 0 },
+  timestamp: { type: 'string', maxLength: 40 },
+  userAgent: { type: 'string', maxLength: 1024 }
+};
+
+// Vertical regions each page is split into for reading heatmaps
+// (must match PDFClientTracker.HEATMAP_BANDS)
+const HEATMAP_BANDS = 10;
+
+// Upper bound for any client-reported page number (no real PDF is longer)
+const MAX_PAGE_NUMBER = 10000;
+
+// Extra fields per event type (keys match the /api/track/<type> routes)
+const EVENT_SCHEMAS = {
+  'document-open': {
+    // Hash only; the raw device traits never leave the browser
+    deviceFingerprint: { type: 'string', pattern: /^[0-9a-f]{16,64}$/ }
+  },
+  'page-view': {
+    pageNumber: { type: 'integer', min: 1, max: MAX_PAGE_NUMBER, required: true },
+    // Active ms on the page since the previous report
+    timeSpent: { type: 'integer', min: 0, max: 60 * 60 * 1000 }
+  },
+  'download': {},
+  'print': {},
+  'forward': {
+    forwardedTo: { type: 'string', maxLength: 320, required: true }
+  },
+  'copy': {
+    copiedText: { type: 'string', maxLength: 200 }
+  },
+  'page-regions': {
+    regions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 500,
+      required: true,
+      items: {
+        pageNumber: { type: 'integer', min: 1, max: MAX_PAGE_NUMBER, required: true },
+        bands: {
+          type: 'array',
+          minItems: HEATMAP_BANDS,
+          maxItems: HEATMAP_BANDS,
+          required: true,
+          items: { type: 'integer', min: 0 }
+        }
+      }
+    },
+    scrollDepth: { type: 'number', min: 0, max: 1 }
+  },
+  'watermark-tampered': {
+    reason: { type: 'string', enum: ['removed', 'style-modified', 'hidden'], required: true }
+  },
+  // Capture detectors; action describes what was seen (key combo, drag type...)
+  'screenshot-attempt': {
+    action: { type: 'string', maxLength: 100 }
+  },
+  'devtools-opened': {
+    action: { type: 'string', maxLength: 100 }
+  },
+  'copy-then-blur': {
+    action: { type: 'string', maxLength: 100 }
+  },
+  'select-all': {
+    action: { type: 'string', maxLength: 100 }
+  },
+  'content-dragged': {
+    action: { type: 'string', maxLength: 100 }
+  },
+  // Registered custom events (/api/track/event, or a batch entry of that type)
+  'custom': {
+    eventType: { type: 'string', maxLength: 50 },
+    action: { type: 'string', maxLength: 200 },
+    pageNumber: { type: 'integer', min: 1, max: MAX_PAGE_NUMBER }
+  }
+};
+
+const BATCH_SCHEMA = {
+  token: COMMON_FIELDS.token,
+  events: { type: 'array', minItems: 1, maxItems: 100, required: true }
+};
+
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return `must be at most ${rule.maxLength} characters`;
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of: ${rule.enum.join(', ')}`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return 'has an invalid format';
+      }
+      return null;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return rule.type === 'integer' ? 'must be an integer' : 'must be a number';
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+      if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+      return null;
+    case 'array':
+      if (!Array.isArray(value)) return 'must be an array';
+      if (rule.minItems && value.length < rule.minItems) {
+        return `must contain at least ${rule.minItems} item(s)`;
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return `must contain at most ${rule.maxItems} items`;
+      }
+      if (rule.items) {
+        for (const [i, item] of value.entries()) {
+          const message = checkItem(item, rule.items);
+          if (message) return `item ${i}: ${message}`;
+        }
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// Array items are either a single rule or an object schema
+function checkItem(item, items) {
+  if (typeof items.type === 'string') {
+    return checkField(item, items);
+  }
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return 'must be an object';
+  }
+  const [error] = validate(items, item);
+  return error ? `${error.field} ${error.message}` : null;
+}
+
+/**
+ * Validate a payload against a declared schema
+ * @param {Object} schema - Field name -> rule
+ * @param {*} payload - Parsed request body (or one batch entry)
+ * @returns {Array<{ field: string, message: string }>} Empty when valid
+ */
+function validate(schema, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return [{ field: '(body)', message: 'must be a JSON object' }];
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = payload[field];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    const message = checkField(value, rule);
+    if (message) errors.push({ field, message });
+  }
+  return errors;
+}
+
+/**
+ * Validate one tracker event
+ * @param {string} eventType - Key of EVENT_SCHEMAS ('custom' for registered types)
+ * @param {*} payload
+ */
+function validateEvent(eventType, payload) {
+  return validate({ ...COMMON_FIELDS, ...EVENT_SCHEMAS[eventType] }, payload);
+}
+
+function validateBatch(payload) {
+  return validate(BATCH_SCHEMA, payload);
+}
+
+module.exports = { EVENT_SCHEMAS, HEATMAP_BANDS, validateEvent, validateBatch };
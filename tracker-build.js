@@ -0,0 +1,101 @@
+/**
+ * TRACKER SDK BUILD
+ * Wraps pdf-client-tracker.js into an ES module and a UMD bundle named after
+ * the SDK version plus a content hash, so every change gets a new cacheable URL
+ * Run directly (npm run build:tracker) to write them to dist/pdf-client-tracker
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_PATH = path.join(__dirname, 'pdf-client-tracker.js');
+const TYPES_PATH = path.join(__dirname, 'pdf-client-tracker.d.ts');
+const DIST_DIR = path.join(__dirname, 'dist', 'pdf-client-tracker');
+
+// The CommonJS export guard at the end of the source is replaced per format
+const EXPORT_MARKER = '// Export for use';
+
+/**
+ * Build the SDK bundles in memory
+ * @returns {{ version: string, hash: string, release: string, files: Object<string, string> }}
+ *   files maps file name -> contents (pdf-client-tracker.mjs, .umd.js, .d.ts)
+ */
+function buildTracker() {
+  const source = fs.readFileSync(SOURCE_PATH, 'utf8');
+  const types = fs.readFileSync(TYPES_PATH, 'utf8');
+
+  const versionMatch = source.match(/PDFClientTracker\.VERSION = '([^']+)'/);
+  if (!versionMatch) {
+    throw new Error('PDFClientTracker.VERSION not found in pdf-client-tracker.js');
+  }
+  const version = versionMatch[1];
+
+  const markerIndex = source.lastIndexOf(EXPORT_MARKER);
+  const body = (markerIndex === -1 ? source : source.slice(0, markerIndex)).trimEnd();
+
+  const hash = crypto.createHash('sha256').update(source).update(types).digest('hex').slice(0, 8);
+  const release = `${version}-${hash}`;
+  const banner = `/*! pdf-client-tracker ${release} */`;
+
+  const esm = `${banner}\n${body}\n\nexport { PDFClientTracker };\nexport default PDFClientTracker;\n`;
+
+  const umd = `${banner}
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PDFClientTracker = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+${body}
+
+return PDFClientTracker;
+}));
+`;
+
+  const pkg = {
+    name: 'pdf-client-tracker',
+    version,
+    description: 'Browser SDK for the PDF tracking system',
+    main: 'pdf-client-tracker.umd.js',
+    module: 'pdf-client-tracker.mjs',
+    types: 'pdf-client-tracker.d.ts',
+    exports: {
+      '.': {
+        types: './pdf-client-tracker.d.ts',
+        import: './pdf-client-tracker.mjs',
+        default: './pdf-client-tracker.umd.js'
+      }
+    }
+  };
+
+  return {
+    version,
+    hash,
+    release,
+    files: {
+      'pdf-client-tracker.mjs': esm,
+      'pdf-client-tracker.umd.js': umd,
+      'pdf-client-tracker.d.ts': types,
+      'package.json': JSON.stringify(pkg, null, 2) + '\n'
+    }
+  };
+}
+
+// Run if called directly
+if (require.main === module) {
+  const build = buildTracker();
+  fs.mkdirSync(DIST_DIR, { recursive: true });
+  for (const [name, contents] of Object.entries(build.files)) {
+    fs.writeFileSync(path.join(DIST_DIR, name), contents);
+  }
+  console.log(`📦 Built pdf-client-tracker ${build.release}`);
+  console.log(`   ${Object.keys(build.files).join(', ')} -> ${DIST_DIR}`);
+}
+
+module.exports = { buildTracker };